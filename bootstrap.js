@@ -14,6 +14,7 @@
 
 var chromeHandle = null;
 var _menuItem    = null;
+var _notifierID  = null;
 
 function install(data, reason) {}
 
@@ -36,24 +37,52 @@ async function startup({ id, version, rootURI }, reason) {
   // are accessible as properties after loading.
   var scope = { Zotero };
   Services.scriptloader.loadSubScript(rootURI + "src/parser.js",     scope);
+  Services.scriptloader.loadSubScript(rootURI + "src/storage.js",    scope);
+  Services.scriptloader.loadSubScript(rootURI + "src/linkStore.js",  scope);
+  Services.scriptloader.loadSubScript(rootURI + "src/notebookParser.js", scope);
+  Services.scriptloader.loadSubScript(rootURI + "src/koboParser.js", scope);
+  Services.scriptloader.loadSubScript(rootURI + "src/koreaderParser.js", scope);
+  Services.scriptloader.loadSubScript(rootURI + "src/readwiseParser.js", scope);
+  Services.scriptloader.loadSubScript(rootURI + "src/bookcisionParser.js", scope);
+  Services.scriptloader.loadSubScript(rootURI + "src/tokenizer.js",  scope);
   Services.scriptloader.loadSubScript(rootURI + "src/matcher.js",    scope);
+  Services.scriptloader.loadSubScript(rootURI + "src/lookupCache.js", scope);
+  Services.scriptloader.loadSubScript(rootURI + "src/requestScheduler.js", scope);
   Services.scriptloader.loadSubScript(rootURI + "src/bookLookup.js", scope);
   Services.scriptloader.loadSubScript(rootURI + "src/importer.js",   scope);
 
   // 4. Expose modules on Zotero global for dialog.js to access
   Zotero.KindleImporter = {
     Parser:     scope.KindleParser,
+    NotebookParser: scope.KindleNotebookParser,
+    KoboParser: scope.KoboParser,
+    KOReaderParser: scope.KOReaderParser,
+    ReadwiseParser: scope.ReadwiseParser,
+    BookcisionParser: scope.BookcisionParser,
+    Tokenizer:  scope.KindleTokenizer,
     Matcher:    scope.KindleMatcher,
     BookLookup: scope.KindleBookLookup,
+    LookupCache: scope.KindleLookupCache,
     Importer:   scope.KindleImporter,
+    Storage:    scope.KindleStorage,
+    LinkStore:  scope.KindleLinkStore,
     openDialog,
   };
 
-  // 5. Add Tools menu item
+  // 5. Keep the matcher's library index current as items change
+  _notifierID = Zotero.Notifier.registerObserver(
+    scope.KindleMatcher.libraryObserver, ["item"], "kindleImporter"
+  );
+
+  // 6. Add Tools menu item
   _menuItem = addMenuItem();
 }
 
 function shutdown(data, reason) {
+  if (_notifierID) {
+    Zotero.Notifier.unregisterObserver(_notifierID);
+    _notifierID = null;
+  }
   if (_menuItem && _menuItem.parentNode) {
     _menuItem.parentNode.removeChild(_menuItem);
     _menuItem = null;
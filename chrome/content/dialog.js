@@ -16,21 +16,40 @@ var Zotero = window.opener
   ? window.opener.Zotero
   : Services.wm.getMostRecentWindow("navigator:browser").Zotero;
 
+// Labels for the new-book review
+const NEW_BOOK_SOURCES = { google: "Google\nBooks", openlibrary: "Open\nLibrary" };
+const NEW_BOOK_FIELDS = [
+  ["title",   "Title",   ""],
+  ["authors", "Authors", "First Last; First Last"],
+  ["isbn",    "ISBN",    ""],
+  ["year",    "Year",    ""],
+];
+
 var KindleDialog = {
 
   // ── State ──────────────────────────────────────────────────────────────────
 
-  _filePath:      null,   // path to My Clippings.txt
+  _filePath:      null,   // path to the highlights file (or KOReader folder) being imported
+  _isFolder:      false,  // true when _filePath is a KOReader folder
+  _keepBookmarks: false,  // keep bookmarks as a third clip type
+  _libraryID:     null,   // library to match against and import into
   _parsedBooks:   null,   // Map from parseClippings()
-  _matchResult:   null,   // { matched, ambiguous, unmatched } from matcher
+  _diagnostics:   [],     // Skips and errors from the last parse
+  _duplicates:    [],     // Groups of parsed books that look like one book (findDuplicateBooks)
+  _keptSeparate:  new Set(), // Duplicate groups the user chose not to merge, by their keys
+  _matchResult:   null,   // { matched, ambiguous, unmatched, ignored } from matcher and link store
+  _linkStore:     null,   // saved link/new/ignore decisions (linkStore.js)
   _lookupResults: null,   // Array from lookupAllUnmatched()
   _confirmed:     [],     // Ambiguous books the user resolved
+  _pendingImport: null,   // Matches and decisions waiting while new books are reviewed
+  _newBookChoices: [],    // Per lookup result: { candidate, skip, form } from the new-book review
   _cancelled:     false,  // Set true if user cancels mid-import
 
   // ── Init ───────────────────────────────────────────────────────────────────
 
   init() {
     // Nothing async needed on open — wait for user to pick a file
+    this._populateLibraries();
   },
 
   // ── Screen Navigation ──────────────────────────────────────────────────────
@@ -42,25 +61,104 @@ var KindleDialog = {
 
   // ── Screen 1: File Selection ───────────────────────────────────────────────
 
+  /**
+   * Fill the library picker with the user's library and their group
+   * libraries. Read-only groups are listed but can't be chosen.
+   */
+  _populateLibraries() {
+    const picker = document.getElementById("library-picker");
+    const popup  = document.getElementById("library-popup");
+
+    const libraries = Zotero.Libraries.getAll()
+      .filter(lib => lib.libraryType === "user" || lib.libraryType === "group");
+    for (const lib of libraries) {
+      const item = document.createXULElement("menuitem");
+      item.setAttribute("label", lib.editable ? lib.name : `${lib.name} (read-only)`);
+      item.setAttribute("value", String(lib.libraryID));
+      if (!lib.editable) item.setAttribute("disabled", "true");
+      popup.appendChild(item);
+    }
+
+    this._libraryID = Zotero.Libraries.userLibraryID;
+    picker.value = String(this._libraryID);
+  },
+
+  onLibraryChanged(value) {
+    this._libraryID = parseInt(value, 10);
+  },
+
   browseForFile() {
     const fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
-    fp.init(window, "Select My Clippings.txt", Ci.nsIFilePicker.modeOpen);
+    fp.init(window, "Select a highlights file", Ci.nsIFilePicker.modeOpen);
+    fp.appendFilter("Highlights (*.txt; *.html; *.sqlite; *.lua; *.csv; *.json)",
+      "*.txt; *.html; *.htm; *.sqlite; *.lua; *.csv; *.json");
     fp.appendFilter("Text files (*.txt)", "*.txt");
+    fp.appendFilter("Kindle notebook exports (*.html)", "*.html; *.htm");
+    fp.appendFilter("Kobo database (KoboReader.sqlite)", "*.sqlite");
+    fp.appendFilter("KOReader sidecar files (metadata.*.lua)", "metadata.*.lua");
+    fp.appendFilter("Readwise export (*.csv)", "*.csv");
+    fp.appendFilter("Bookcision export (*.json)", "*.json");
     fp.appendFilters(Ci.nsIFilePicker.filterAll);
 
     fp.open(rv => {
       if (rv !== Ci.nsIFilePicker.returnOK) return;
 
       this._filePath = fp.file.path;
+      this._isFolder = false;
       this._loadAndParseFile(fp.file);
     });
   },
 
-  _loadAndParseFile(file) {
+  /** Pick a folder and import every KOReader sidecar (*.sdr/metadata.*.lua) inside it */
+  browseForFolder() {
+    const fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+    fp.init(window, "Select a folder of KOReader books", Ci.nsIFilePicker.modeGetFolder);
+
+    fp.open(rv => {
+      if (rv !== Ci.nsIFilePicker.returnOK) return;
+
+      this._filePath = fp.file.path;
+      this._isFolder = true;
+      this._loadAndParseFolder(fp.file.path);
+    });
+  },
+
+  /** Toggling "Keep bookmarks" re-parses whatever is already loaded */
+  onKeepBookmarksChanged(checked) {
+    this._keepBookmarks = checked;
+    if (!this._filePath) return;
+
+    if (this._isFolder) {
+      this._loadAndParseFolder(this._filePath);
+    } else {
+      this._loadAndParseFile(Zotero.File.pathToFile(this._filePath));
+    }
+  },
+
+  async _loadAndParseFolder(path) {
+    document.getElementById("file-error").style.display = "none";
+    try {
+      const { KOReaderParser } = Zotero.KindleImporter;
+      this._useParseResult(await KOReaderParser.readKOReaderPath(path, this._parseOptions()),
+        "No KOReader highlights found in this folder.");
+    } catch (err) {
+      this._showFileError(`Could not read folder: ${err.message}`);
+    }
+  },
+
+  async _loadAndParseFile(file) {
     const errorEl = document.getElementById("file-error");
     errorEl.style.display = "none";
 
     try {
+      // Kobo annotations live in a SQLite database, not a text file
+      if (/\.sqlite$/i.test(file.leafName)) {
+        const { KoboParser } = Zotero.KindleImporter;
+        this._useParseResult(await KoboParser.readKoboDatabase(file.path, this._parseOptions()),
+          "No highlights found in this Kobo database.");
+        return;
+      }
+
       // Read the file using Mozilla IO
       const stream = Cc["@mozilla.org/network/file-input-stream;1"]
         .createInstance(Ci.nsIFileInputStream);
@@ -79,23 +177,54 @@ var KindleDialog = {
       stream.close();
 
       // Parse it
-      const { Parser } = Zotero.KindleImporter;
-      const result = Parser.parseClippings(content);
-
-      if (result.books.size === 0) {
-        this._showFileError("No highlights found in this file. Make sure you selected 'My Clippings.txt'.");
-        return;
-      }
-
-      this._parsedBooks = result.books;
-      this._showParseSummary(result);
+      this._useParseResult(this._parseContent(content),
+        "No highlights found in this file. Make sure you selected 'My Clippings.txt' or a Kindle notebook export.");
 
     } catch (err) {
       this._showFileError(`Could not read file: ${err.message}`);
     }
   },
 
-  _showParseSummary({ books, skipped, errors }) {
+  _useParseResult(result, emptyMessage) {
+    if (result.books.size === 0) {
+      this._showFileError(emptyMessage);
+      return;
+    }
+
+    this._parsedBooks  = result.books;
+    this._keptSeparate = new Set();
+    this._showParseSummary(result);
+  },
+
+  /**
+   * Pick the parser that understands this file's contents. Detection is by
+   * content rather than extension, since exports are often renamed.
+   */
+  _parseContent(content) {
+    const {
+      Parser, NotebookParser, KOReaderParser, ReadwiseParser, BookcisionParser,
+    } = Zotero.KindleImporter;
+    const options = this._parseOptions();
+    if (NotebookParser.isNotebookHTML(content)) {
+      return NotebookParser.parseNotebookHTML(content, options);
+    }
+    if (KOReaderParser.isKOReaderMetadata(content)) {
+      return KOReaderParser.parseKOReaderMetadata(content, this._filePath, options);
+    }
+    if (BookcisionParser.isBookcisionJSON(content)) {
+      return BookcisionParser.parseBookcisionJSON(content);
+    }
+    if (ReadwiseParser.isReadwiseCSV(content)) {
+      return ReadwiseParser.parseReadwiseCSV(content);
+    }
+    return Parser.parseClippings(content, options);
+  },
+
+  _parseOptions() {
+    return { keepBookmarks: this._keepBookmarks };
+  },
+
+  _showParseSummary({ books, skipped, errors, diagnostics = [] }) {
     // Update display
     const displayEl = document.getElementById("file-path-display");
     displayEl.classList.remove("placeholder");
@@ -112,16 +241,170 @@ var KindleDialog = {
     document.getElementById("stat-notes").textContent      = totalNotes;
     document.getElementById("stat-skipped").textContent    = skipped;
 
-    if (errors.length > 0) {
-      const hint = document.getElementById("parse-errors-hint");
-      hint.textContent = `⚠️ ${errors.length} entries could not be parsed and were skipped.`;
-      hint.style.display = "block";
-    }
+    // The file may be re-parsed (e.g. when "Keep bookmarks" is toggled)
+    this._diagnostics = diagnostics;
+    const hint = document.getElementById("parse-errors-hint");
+    hint.textContent = errors.length > 0
+      ? `⚠️ ${errors.length} entries could not be parsed; ${skipped} were skipped.`
+      : `${skipped} entries were skipped.`;
+    document.getElementById("diagnostics-bar").style.display = diagnostics.length > 0 ? "flex" : "none";
+    this._renderDiagnostics();
 
     document.getElementById("parse-summary").style.display = "block";
     document.getElementById("btn-next-1").disabled = false;
   },
 
+  // ── Parse Diagnostics ──────────────────────────────────────────────────────
+
+  toggleDiagnostics() {
+    const list = document.getElementById("diagnostics-list");
+    const show = list.style.display === "none";
+    list.style.display = show ? "block" : "none";
+    document.getElementById("btn-diagnostics").textContent = show ? "Hide" : "Details";
+  },
+
+  /** One row per skipped or failed entry: line, reason, and the entry's first line */
+  _renderDiagnostics() {
+    const list = document.getElementById("diagnostics-list");
+    list.innerHTML = "";
+
+    for (const d of this._diagnostics) {
+      const row = document.createElement("div");
+      row.className = "diag-row";
+      row.title = d.raw;
+
+      const line = document.createElement("span");
+      line.className = "diag-line";
+      line.textContent = d.line ? `Line ${d.line}` : "—";
+
+      const reason = document.createElement("span");
+      reason.className = "diag-reason";
+      reason.textContent = `${d.severity === "error" ? "⚠️" : "⏭"} ${d.message}`;
+
+      const raw = document.createElement("span");
+      raw.className = "diag-raw";
+      raw.textContent = d.raw.split(/\r?\n/).filter(Boolean).join(" · ");
+
+      row.appendChild(line);
+      row.appendChild(reason);
+      row.appendChild(raw);
+      list.appendChild(row);
+    }
+  },
+
+  /** Save every diagnostic, with the full raw entry, to a text file */
+  saveDiagnostics() {
+    const fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+    fp.init(window, "Save parse diagnostics", Ci.nsIFilePicker.modeSave);
+    fp.appendFilter("Text files (*.txt)", "*.txt");
+    fp.defaultString = "kindle-import-diagnostics.txt";
+
+    fp.open(async rv => {
+      if (rv !== Ci.nsIFilePicker.returnOK && rv !== Ci.nsIFilePicker.returnReplace) return;
+
+      const { Parser } = Zotero.KindleImporter;
+      try {
+        await IOUtils.writeUTF8(fp.file.path, Parser.formatDiagnostics(this._diagnostics, this._filePath));
+      } catch (err) {
+        // Not a file-loading problem, so leave the loaded file (and Next) alone
+        document.getElementById("parse-errors-hint").textContent =
+          `⚠️ Could not save diagnostics: ${err.message}`;
+      }
+    });
+  },
+
+  // ── Lookup Cache ───────────────────────────────────────────────────────────
+
+  /** Forget cached metadata lookups; the button reports how many were removed */
+  async clearLookupCache() {
+    const button = document.getElementById("btn-clear-lookups");
+    button.disabled = true;
+    try {
+      const removed = await Zotero.KindleImporter.BookLookup.clearLookupCache();
+      button.label = `Cleared ${removed} lookup${removed !== 1 ? "s" : ""}`;
+    } catch (err) {
+      Zotero.logError(err);
+      button.label = "Could not clear lookups";
+    }
+    button.disabled = false;
+  },
+
+  // ── Saved Decisions ────────────────────────────────────────────────────────
+
+  /** Show the link/new/ignore decisions saved for the chosen library */
+  async showSavedDecisions() {
+    const { LinkStore } = Zotero.KindleImporter;
+    this._linkStore = await LinkStore.loadLinkStore();
+
+    document.getElementById("links-subtitle").textContent =
+      `Books you linked, added or ignored in “${Zotero.Libraries.get(this._libraryID).name}”. ` +
+      `Changes are saved straight away.`;
+    this._renderSavedDecisions();
+    this.goToScreen("screen-links");
+  },
+
+  _renderSavedDecisions() {
+    const list = document.getElementById("links-list");
+    list.innerHTML = "";
+
+    const links = this._linkStore.list(this._libraryID);
+    if (links.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "book-row hint";
+      empty.textContent = "No saved decisions yet. They are recorded each time you import.";
+      list.appendChild(empty);
+      return;
+    }
+
+    const badges = {
+      link:   ["badge-green", "linked"],
+      new:    ["badge-blue",  "added as new"],
+      ignore: ["badge-grey",  "ignored"],
+    };
+
+    for (const link of links) {
+      const item = link.itemKey ? this._getLibraryItem(link.itemKey) : null;
+      const target = link.decision === "ignore" ? ""
+        : item ? `→ ${item.getField("title")}` : "→ (item deleted)";
+      const [badgeClass, badgeText] = badges[link.decision];
+
+      const row = document.createElement("div");
+      row.className = "book-row";
+      row.innerHTML = `
+        <span class="book-title" title="${this._esc(link.title)}">${this._esc(link.title)}</span>
+        <span class="book-author" title="${this._esc(target)}">${this._esc(target)}</span>
+        <span class="book-badge ${badgeClass}">${badgeText}</span>
+      `;
+
+      if (link.decision !== "ignore") {
+        row.appendChild(this._linkAction("Ignore", () =>
+          this._updateSavedDecision(() => this._linkStore.set(this._libraryID, link.bookKey, "ignore"))));
+      }
+      row.appendChild(this._linkAction(link.decision === "ignore" ? "Stop ignoring" : "Forget", () =>
+        this._updateSavedDecision(() => this._linkStore.remove(this._libraryID, link.bookKey))));
+
+      list.appendChild(row);
+    }
+  },
+
+  _linkAction(label, onClick) {
+    const action = document.createElement("span");
+    action.className   = "ambig-add-new link-action";
+    action.textContent = label;
+    action.addEventListener("click", onClick);
+    return action;
+  },
+
+  async _updateSavedDecision(change) {
+    change();
+    try {
+      await this._linkStore.save();
+    } catch (err) {
+      document.getElementById("links-subtitle").textContent = `⚠️ Could not save: ${err.message}`;
+    }
+    this._renderSavedDecisions();
+  },
+
   _showFileError(msg) {
     const el = document.getElementById("file-error");
     el.textContent = msg;
@@ -135,34 +418,32 @@ var KindleDialog = {
     this.goToScreen("screen-preview");
 
     try {
-      // Fetch all regular (non-attachment, non-note) items — don't filter by
-      // book type only, since some entries may be stored as "document" etc.
-      const libraryID = Zotero.Libraries.userLibraryID;
-      const s = new Zotero.Search();
-      s.libraryID = libraryID;
-      s.addCondition("noChildren", "true", "");
-      const allIDs   = await s.search();
-      const allItems = await Zotero.Items.getAsync(allIDs);
-      const bookItems = allItems.filter(item =>
-        item.isRegularItem() && !item.isAttachment() && !item.isNote()
-      );
-
-      // ── Step 1: Re-confirm books already linked on a previous import ────────
+      // Library index — loaded on the first import of the session, then
+      // kept up to date as items change, so later previews open instantly.
+      const { Matcher, LinkStore } = Zotero.KindleImporter;
+      const libraryIndex = await Matcher.getLibraryIndex(this._libraryID);
+
+      // ── Step 1: Apply decisions saved on earlier imports ────────────────────
+      // Linked, added-as-new and ignored books skip matching and review.
+      this._linkStore = await LinkStore.loadLinkStore();
+      const saved = LinkStore.applyLinks(this._parsedBooks, this._linkStore, this._libraryID,
+        key => this._getLibraryItem(key));
+
+      // ── Step 2: Re-confirm books already linked on a previous import ────────
       // Searches for existing kindle-import notes, reads the stored kindleKey,
       // and pre-confirms any matching parsed books — bypassing fuzzy matching
       // for books the user has already reviewed and linked.
-      const { preMatched, remaining } = await this._findPreviousMatches(this._parsedBooks);
+      const { preMatched, remaining } = await this._findPreviousMatches(saved.remaining);
 
-      // ── Step 2: Fuzzy-match only the books not already linked ───────────────
-      const liveLibrary = { getItems: () => bookItems };
-      const { Matcher } = Zotero.KindleImporter;
-      const fuzzyResult = Matcher.matchBooksToZotero(remaining, liveLibrary);
+      // ── Step 3: Fuzzy-match only the books not already linked ───────────────
+      const fuzzyResult = Matcher.matchBooksToZotero(remaining, null, { index: libraryIndex });
 
-      // Merge pre-confirmed matches with fuzzy results
+      // Merge saved and pre-confirmed matches with fuzzy results
       this._matchResult = {
-        matched:   [...preMatched, ...fuzzyResult.matched],
+        matched:   [...saved.matched, ...preMatched, ...fuzzyResult.matched],
         ambiguous: fuzzyResult.ambiguous,
-        unmatched: fuzzyResult.unmatched,
+        unmatched: [...saved.unmatched, ...fuzzyResult.unmatched],
+        ignored:   saved.ignored,
       };
 
       const { matched, ambiguous, unmatched } = this._matchResult;
@@ -176,7 +457,7 @@ var KindleDialog = {
       // Update subtitle with real result
       document.getElementById("screen-preview")
         .querySelector(".screen-subtitle")
-        .textContent = "Review how your Kindle books matched against your Zotero library.";
+        .textContent = `Review how your Kindle books matched against “${Zotero.Libraries.get(this._libraryID).name}”.`;
 
       const btn = document.getElementById("btn-next-2");
       if (ambiguous.length > 0) {
@@ -185,7 +466,12 @@ var KindleDialog = {
         btn.textContent = "Start Import →";
       }
 
-      this._renderPreviewList(matched, ambiguous, unmatched);
+      this._renderPreviewList(matched, ambiguous, unmatched, this._matchResult.ignored);
+
+      // Offer to merge books that look like one book under several titles
+      this._duplicates = Matcher.findDuplicateBooks(this._parsedBooks)
+        .filter(group => !this._keptSeparate.has(group.keys.join("\n")));
+      this._renderDuplicates(this._duplicates);
 
     } catch (err) {
       // Show the actual error so we can diagnose it
@@ -202,7 +488,7 @@ var KindleDialog = {
    * as a pre-confirmed match, skipping fuzzy matching entirely.
    *
    * Returns:
-   *   preMatched — array of { parsedBook, zoteroItem, titleScore, authorScore }
+   *   preMatched — array of { parsedBook, zoteroItem, titleScore, authorScore, matchedBy, explanation }
    *   remaining  — Map of books that still need fuzzy matching
    */
   async _findPreviousMatches(parsedBooks) {
@@ -210,8 +496,8 @@ var KindleDialog = {
     const remaining  = new Map(parsedBooks); // will delete from this as we confirm
 
     try {
-      const libraryID = Zotero.Libraries.userLibraryID;
-      const { Importer } = Zotero.KindleImporter;
+      const libraryID = this._libraryID;
+      const { Importer, Parser } = Zotero.KindleImporter;
 
       // Find Kindle notes by their embedded fingerprint comment (current format),
       // with a fallback condition for legacy tagged notes.
@@ -239,15 +525,20 @@ var KindleDialog = {
         if (parentItem) keyToItem.set(fp.kindleKey, parentItem);
       }
 
-      // Pre-confirm any parsed book whose key appears in the map
+      // Pre-confirm any parsed book whose key appears in the map. Notes from
+      // versions before title cleaning store the book's old, raw-title key.
       for (const [bookKey, parsedBook] of parsedBooks) {
-        if (!keyToItem.has(bookKey)) continue;
+        const noteKey = [bookKey, ...Parser.getLegacyBookKeys(parsedBook)]
+          .find(key => keyToItem.has(key));
+        if (!noteKey) continue;
 
         preMatched.push({
           parsedBook,
-          zoteroItem:  keyToItem.get(bookKey),
+          zoteroItem:  keyToItem.get(noteKey),
           titleScore:  1.0, // previously confirmed by user or auto-matched
           authorScore: 1.0,
+          matchedBy:   "previous-import",
+          explanation: { decision: "Matched: this item has the Kindle note from an earlier import" },
         });
         remaining.delete(bookKey);
       }
@@ -259,7 +550,13 @@ var KindleDialog = {
     return { preMatched, remaining };
   },
 
-  _renderPreviewList(matched, ambiguous, unmatched) {
+  /** A live (not trashed) item in the chosen library by key, or null */
+  _getLibraryItem(key) {
+    const item = Zotero.Items.getByLibraryAndKey(this._libraryID, key);
+    return item && !item.deleted ? item : null;
+  },
+
+  _renderPreviewList(matched, ambiguous, unmatched, ignored = []) {
     const list = document.getElementById("preview-list");
     list.innerHTML = "";
 
@@ -285,6 +582,7 @@ var KindleDialog = {
         const row = document.createElement("div");
         row.className = "book-row";
         row.innerHTML = `
+          <span class="book-expand">▸</span>
           <span class="book-title" title="${this._esc(book.title)}">${this._esc(book.title)}</span>
           <span class="book-author" title="${this._esc(author)}">${this._esc(author)}</span>
           <span class="book-count">${hlCount} clip${hlCount !== 1 ? "s" : ""}</span>
@@ -292,12 +590,23 @@ var KindleDialog = {
         `;
 
         // For matched items, show what it matched to on hover
-        if (matchTo && matchTo !== book.title) {
+        if (entry.matchedBy === "identifier") {
+          row.title = `Matches: "${matchTo}" (same ISBN/ASIN)`;
+        } else if (matchTo && matchTo !== book.title) {
           const pct = Math.round((entry.titleScore || 0) * 100);
           row.title = `Matches: "${matchTo}" (${pct}%)`;
         }
 
+        // Click to show how the book was matched
+        const why = this._renderExplanation(this._explanationLines(entry));
+        const expand = row.querySelector(".book-expand");
+        row.addEventListener("click", () => {
+          why.hidden = !why.hidden;
+          expand.textContent = why.hidden ? "▸" : "▾";
+        });
+
         list.appendChild(row);
+        list.appendChild(why);
       }
     };
 
@@ -309,6 +618,90 @@ var KindleDialog = {
 
     addSection(`➕ New — will be added to Zotero (${unmatched.length})`,
       unmatched, "badge-blue", "new book");
+
+    addSection(`🚫 Ignored — skipped as you asked (${ignored.length})`,
+      ignored, "badge-grey", "ignored");
+  },
+
+  /**
+   * List groups of likely duplicate books above the preview, each with
+   * "Merge" and "Keep separate" links.
+   */
+  _renderDuplicates(groups) {
+    const list = document.getElementById("preview-list");
+    if (groups.length === 0) return;
+
+    const section = document.createElement("div");
+
+    const header = document.createElement("div");
+    header.className = "section-label";
+    header.style.cssText = "padding: 6px 10px; background: rgba(255,255,255,0.07); border-bottom: 1px solid rgba(255,255,255,0.1); margin: 0; font-weight: bold; font-size: 12px;";
+    header.textContent = `📚 Possibly the same book (${groups.length})`;
+    section.appendChild(header);
+
+    for (const group of groups) {
+      const card = document.createElement("div");
+      card.className = "dup-card";
+
+      for (const book of group.books) {
+        const clips = book.highlights.length + book.notes.length;
+        const line = document.createElement("div");
+        line.className = "dup-book";
+        line.textContent = `${book.rawTitle || book.title} — ${book.authors.join(", ") || "unknown"} · ${clips} clip${clips !== 1 ? "s" : ""}`;
+        card.appendChild(line);
+      }
+
+      card.appendChild(this._linkAction("Merge into one book", () => this._mergeDuplicates(group)));
+      card.appendChild(this._linkAction("Keep separate", () => {
+        this._keptSeparate.add(group.keys.join("\n"));
+        card.remove();
+        if (!section.querySelector(".dup-card")) section.remove();
+      }));
+      section.appendChild(card);
+    }
+
+    list.prepend(section);
+  },
+
+  /**
+   * Replace a group of duplicate books with one merged book and match
+   * again.
+   */
+  async _mergeDuplicates(group) {
+    const { Parser, LinkStore } = Zotero.KindleImporter;
+    const merged = Parser.mergeBooks(group.books);
+
+    for (const key of group.keys) this._parsedBooks.delete(key);
+    this._parsedBooks.set(LinkStore.getBookKey(merged), merged);
+
+    await this.goToPreview();
+  },
+
+  /**
+   * Explanation lines for a Preview row. Books needing review list each
+   * candidate with its own explanation.
+   */
+  _explanationLines(entry) {
+    const { Matcher } = Zotero.KindleImporter;
+    if (!entry.candidates) return Matcher.formatMatchExplanation(entry.explanation);
+
+    const lines = [];
+    for (const candidate of entry.candidates) {
+      lines.push(`"${candidate.zoteroItem.getField("title")}"`);
+      for (const line of Matcher.formatMatchExplanation(candidate.explanation)) {
+        lines.push(`  ${line}`);
+      }
+    }
+    return lines;
+  },
+
+  /** A hidden block showing explanation lines, toggled by its row */
+  _renderExplanation(lines) {
+    const why = document.createElement("div");
+    why.className   = "match-why";
+    why.textContent = lines.length > 0 ? lines.join("\n") : "No details recorded for this match";
+    why.hidden      = true;
+    return why;
   },
 
   // ── Screen 3: Ambiguous Review ─────────────────────────────────────────────
@@ -377,14 +770,34 @@ var KindleDialog = {
         const titleSpan = document.createElement("span");
         titleSpan.className   = "ambig-option-title";
         titleSpan.textContent = zTitle;
+        if (candidate.volumeConflict) {
+          const conflictSpan = document.createElement("span");
+          conflictSpan.className   = "ambig-conflict";
+          conflictSpan.textContent = `different ${candidate.volumeConflict}`;
+          titleSpan.appendChild(conflictSpan);
+        }
 
         const scoreSpan = document.createElement("span");
         scoreSpan.className   = "ambig-option-score";
-        scoreSpan.textContent = `${pct}%\nmatch`;
+        scoreSpan.textContent = candidate.matchedBy === "identifier" ? "ISBN/\nASIN" : `${pct}%\nmatch`;
         scoreSpan.style.whiteSpace = "pre";
 
+        // "why?" expands the candidate's match explanation below it
+        const whyLink = document.createElement("span");
+        whyLink.className   = "ambig-why";
+        whyLink.textContent = "why?";
+        const why = this._renderExplanation(
+          Zotero.KindleImporter.Matcher.formatMatchExplanation(candidate.explanation)
+        );
+        whyLink.addEventListener("click", (event) => {
+          event.stopPropagation(); // don't select the candidate
+          why.hidden = !why.hidden;
+          whyLink.textContent = why.hidden ? "why?" : "hide";
+        });
+
         opt.appendChild(dot);
         opt.appendChild(titleSpan);
+        opt.appendChild(whyLink);
         opt.appendChild(scoreSpan);
 
         opt.addEventListener("click", () => {
@@ -398,30 +811,51 @@ var KindleDialog = {
           opt.classList.add("ambig-option-selected");
           dot.textContent = "●";
           dot.style.color = "#5b9dd9";
-          // Reset add-as-new link
-          const link = card.querySelector(".ambig-add-new");
-          if (link) { link.textContent = "+ Add as new book instead"; link.style.color = ""; }
+          resetLinks();
           this._confirmed[i] = { type: "match", index: j };
         });
 
         optionsEl.appendChild(opt);
+        optionsEl.appendChild(why);
       });
 
-      // "Add as new book" link
+      // "Add as new book" and "Ignore" links
       const addNew = document.createElement("span");
       addNew.className   = "ambig-add-new";
-      addNew.textContent = "+ Add as new book instead";
-      addNew.addEventListener("click", () => {
+      const ignore = document.createElement("span");
+      ignore.className   = "ambig-add-new ambig-ignore";
+
+      const resetLinks = () => {
+        addNew.textContent = "+ Add as new book instead";
+        addNew.style.color = "";
+        ignore.textContent = "🚫 Ignore this book";
+        ignore.style.color = "";
+      };
+      const deselectOptions = () => {
         optionsEl.querySelectorAll(".ambig-option").forEach(o => {
           o.classList.remove("ambig-option-selected");
           o.querySelector(".ambig-dot").textContent = "○";
           o.querySelector(".ambig-dot").style.color = "#666";
         });
+      };
+      resetLinks();
+
+      addNew.addEventListener("click", () => {
+        deselectOptions();
+        resetLinks();
         addNew.textContent = "✓ Will be added as new book";
         addNew.style.color = "#81c784";
         this._confirmed[i] = { type: "new" };
       });
+      ignore.addEventListener("click", () => {
+        deselectOptions();
+        resetLinks();
+        ignore.textContent = "✓ Will be ignored on every import";
+        ignore.style.color = "#aaa";
+        this._confirmed[i] = { type: "ignore" };
+      });
       card.appendChild(addNew);
+      card.appendChild(ignore);
 
       // Default
       this._confirmed[i] = candidates.length > 0 ? { type: "match", index: 0 } : { type: "new" };
@@ -443,8 +877,10 @@ var KindleDialog = {
         const dot = opt.querySelector(".ambig-dot");
         if (dot) { dot.textContent = "○"; dot.style.color = "#666"; }
       });
-      const link = card.querySelector(".ambig-add-new");
+      const link = card.querySelector(".ambig-add-new:not(.ambig-ignore)");
       if (link) { link.textContent = "✓ Will be added as new book"; link.style.color = "#81c784"; }
+      const ignore = card.querySelector(".ambig-ignore");
+      if (ignore) { ignore.textContent = "🚫 Ignore this book"; ignore.style.color = ""; }
     });
     const btn = document.getElementById("btn-add-all-new");
     if (btn) { btn.textContent = "✓ All marked as new books"; btn.disabled = true; }
@@ -458,70 +894,94 @@ var KindleDialog = {
     this.goToScreen("screen-progress");
 
     const { matched, ambiguous, unmatched } = this._matchResult;
-    const { BookLookup, Importer } = Zotero.KindleImporter;
+    const { BookLookup } = Zotero.KindleImporter;
 
-    // ── Phase 1: Book lookup for unmatched ──────────────────────────────────
-    const totalPhase1 = unmatched.length;
-
-    if (totalPhase1 > 0) {
-      document.getElementById("progress-subtitle").textContent =
-        `Looking up metadata for ${totalPhase1} new book${totalPhase1 !== 1 ? "s" : ""}…`;
-
-      this._lookupResults = await BookLookup.lookupAllUnmatched(
-        unmatched,
-        null, // use real fetch
-        (done, total, title) => {
-          if (this._cancelled) return;
-          this._setProgress(done, total * 2, `Looking up: ${title}`);
-          this._logLine(`🔍 Found metadata: ${title}`);
-        }
-      );
-    } else {
-      this._lookupResults = [];
-    }
-
-    if (this._cancelled) return;
-
-    // ── Phase 2: Build confirmed list from ambiguous resolutions ────────────
+    // ── Phase 1: Build confirmed list from ambiguous resolutions ────────────
     const confirmedBooks = [];
+    const ignoredBooks   = [];
+    const addedAsNew     = [];
     for (let i = 0; i < ambiguous.length; i++) {
       const decision = this._confirmed[i] || { type: "match", index: 0 };
-      if (decision.type === "match") {
+      if (decision.type === "ignore") {
+        ignoredBooks.push({ parsedBook: ambiguous[i].parsedBook });
+        this._logLine(`🚫 Ignoring: ${ambiguous[i].parsedBook.title}`);
+      } else if (decision.type === "match") {
         const candidate = ambiguous[i].candidates[decision.index];
         confirmedBooks.push({
           parsedBook:  ambiguous[i].parsedBook,
           zoteroItem:  candidate.zoteroItem,
           titleScore:  candidate.titleScore,
           authorScore: candidate.authorScore,
+          matchedBy:   candidate.matchedBy,
         });
       } else {
-        // User chose "add as new" — look up metadata for it
+        // User chose "add as new" — looked up with the unmatched books below
         this._logLine(`➕ Adding as new: ${ambiguous[i].parsedBook.title}`);
-        const meta = await BookLookup.lookupBook(ambiguous[i].parsedBook);
-        this._lookupResults.push({ parsedBook: ambiguous[i].parsedBook, metadata: meta });
+        addedAsNew.push({ parsedBook: ambiguous[i].parsedBook });
       }
     }
 
+    // ── Phase 2: Book lookup for every new book ─────────────────────────────
+    // One lookupAllUnmatched() call, so one scheduler spaces out the requests
+    // for all of them, and weak or Kindle-only results are flagged for review
+    const newBooks = [...unmatched, ...addedAsNew];
+    const totalLookups = newBooks.length;
+    const lookupFailures = []; // books the APIs wouldn't answer for — not imported this time
+
+    if (totalLookups > 0) {
+      document.getElementById("progress-subtitle").textContent =
+        `Looking up metadata for ${totalLookups} new book${totalLookups !== 1 ? "s" : ""}…`;
+
+      const results = await BookLookup.lookupAllUnmatched(
+        newBooks,
+        null, // use real fetch
+        (done, total, title, error) => {
+          if (this._cancelled) return;
+          this._setProgress(done, total * 2, `Looking up: ${title}`);
+          this._logLine(error ? `⏳ Lookup failed: ${title} — ${error}` : `🔍 Found metadata: ${title}`);
+        }
+      );
+      this._lookupResults = results.filter(r => !r.error);
+      lookupFailures.push(...results.filter(r => r.error));
+    } else {
+      this._lookupResults = [];
+    }
+
     if (this._cancelled) return;
 
+    this._pendingImport = { matched, confirmedBooks, ignoredBooks, lookupFailures, totalLookups };
+
+    // New books are reviewed before anything is created
+    if (this._lookupResults.length > 0) {
+      this._showNewBooks(this._lookupResults);
+      return;
+    }
+    await this._writeImport();
+  },
+
+  /** Phase 3: write notes and create the reviewed new books */
+  async _writeImport() {
+    this.goToScreen("screen-progress");
+
+    const { matched, confirmedBooks, ignoredBooks, lookupFailures, totalLookups } = this._pendingImport;
+    const { Importer } = Zotero.KindleImporter;
+
     // ── Phase 3: Run the importer ───────────────────────────────────────────
     document.getElementById("progress-subtitle").textContent = "Writing highlights to Zotero…";
 
-    const totalPhase2 = matched.length + confirmedBooks.length + this._lookupResults.length;
-    let importDone = 0;
-
     const report = await Importer.importAll(
       {
         matched:       matched,
         confirmed:     confirmedBooks,
         lookupResults: this._lookupResults,
+        includeBookmarks: this._keepBookmarks,
+        libraryID:     this._libraryID,
       },
       null, // use real Zotero API
       (done, total, title) => {
         if (this._cancelled) return;
-        importDone = done;
-        const overallDone  = totalPhase1 + done;
-        const overallTotal = totalPhase1 + total;
+        const overallDone  = totalLookups + done;
+        const overallTotal = totalLookups + total;
         this._setProgress(overallDone, overallTotal, `Importing: ${title}`);
         this._logLine(`✅ Added note: ${title}`);
       }
@@ -529,10 +989,293 @@ var KindleDialog = {
 
     if (this._cancelled) return;
 
+    // Books whose lookup failed are reported, not added with Kindle data alone
+    for (const { parsedBook, error } of lookupFailures) {
+      report.failed.push({ title: parsedBook.title, reason: `Metadata lookup failed (${error}) — import again later` });
+    }
+
+    await this._saveDecisions(report.imported, confirmedBooks, ignoredBooks);
+
     // ── Done ────────────────────────────────────────────────────────────────
     this._showDone(report);
   },
 
+  // ── Screen 4b: New Book Review ─────────────────────────────────────────────
+
+  /**
+   * List the books about to be created, each with the lookup candidates of
+   * every provider and a form for the fields the item is created from.
+   * Books whose lookup needs review come first.
+   */
+  _showNewBooks(results) {
+    this.goToScreen("screen-new-books");
+
+    const flagged = results.filter(r => r.needsReview).length;
+    document.getElementById("new-books-subtitle").textContent =
+      `${results.length} book${results.length !== 1 ? "s" : ""} will be added to Zotero` +
+      (flagged > 0 ? ` — ${flagged} need${flagged === 1 ? "s" : ""} a closer look.` : ".") +
+      " Pick the right edition, correct the details, or skip a book.";
+
+    const list = document.getElementById("new-book-list");
+    list.innerHTML = "";
+    this._newBookChoices = [];
+
+    const order = results.map((result, i) => i)
+      .sort((a, b) => Number(results[b].needsReview) - Number(results[a].needsReview));
+    for (const i of order) {
+      list.appendChild(this._renderNewBookCard(results[i], i));
+    }
+  },
+
+  _renderNewBookCard(result, i) {
+    const { parsedBook, metadata, needsReview } = result;
+    const { BookLookup } = Zotero.KindleImporter;
+
+    const card = document.createElement("div");
+    card.className = "ambig-card";
+
+    const titleEl = document.createElement("div");
+    titleEl.className = "ambig-kindle";
+    titleEl.textContent = parsedBook.title;
+    const metaSpan = document.createElement("span");
+    metaSpan.textContent = parsedBook.authors.join(", ") || "unknown";
+    titleEl.appendChild(metaSpan);
+    const badge = document.createElement("span");
+    badge.className   = `book-badge ${needsReview ? "badge-yellow" : "badge-green"}`;
+    badge.textContent = needsReview ? "check details" : "found";
+    titleEl.appendChild(badge);
+    card.appendChild(titleEl);
+
+    // The lookup's pick first, then the other candidates, then Kindle data alone
+    const kindleOption = BookLookup._kindleFallback(parsedBook);
+    const options = [metadata];
+    for (const candidate of metadata.candidates || []) {
+      if (this._candidateKey(candidate) !== this._candidateKey(metadata)) options.push(candidate);
+    }
+    if (metadata.source !== "kindle") options.push(kindleOption);
+
+    const optionsEl = document.createElement("div");
+    optionsEl.className = "ambig-options";
+    card.appendChild(optionsEl);
+
+    const form = this._renderNewBookForm();
+    const choice = { candidate: metadata, skip: false, form };
+    this._newBookChoices[i] = choice;
+
+    const skip = document.createElement("span");
+    skip.className = "ambig-add-new";
+    const resetSkip = () => {
+      skip.textContent = "⏭ Skip creating this book";
+      skip.style.color = "";
+      form.el.classList.remove("new-book-skipped");
+    };
+
+    const select = (opt, candidate) => {
+      optionsEl.querySelectorAll(".ambig-option").forEach(o => {
+        o.classList.remove("ambig-option-selected");
+        o.querySelector(".ambig-dot").textContent = "○";
+        o.querySelector(".ambig-dot").style.color = "#666";
+      });
+      opt.classList.add("ambig-option-selected");
+      opt.querySelector(".ambig-dot").textContent = "●";
+      opt.querySelector(".ambig-dot").style.color = "#5b9dd9";
+      choice.candidate = candidate;
+      choice.skip = false;
+      resetSkip();
+      this._fillNewBookForm(form, candidate);
+    };
+
+    options.forEach((candidate, j) => {
+      const opt = this._renderCandidateOption(candidate);
+      opt.addEventListener("click", () => select(opt, candidate));
+      optionsEl.appendChild(opt);
+      if (j === 0) select(opt, candidate);
+    });
+
+    card.appendChild(form.el);
+
+    skip.addEventListener("click", () => {
+      choice.skip = !choice.skip;
+      if (!choice.skip) {
+        resetSkip();
+        return;
+      }
+      skip.textContent = "✓ Will not be created — click to undo";
+      skip.style.color = "#aaa";
+      form.el.classList.add("new-book-skipped");
+    });
+    resetSkip();
+    card.appendChild(skip);
+
+    return card;
+  },
+
+  /** One selectable lookup candidate: cover, title, authors, year, publisher, provider */
+  _renderCandidateOption(candidate) {
+    const opt = document.createElement("div");
+    opt.className = "ambig-option";
+
+    const dot = document.createElement("span");
+    dot.className   = "ambig-dot";
+    dot.textContent = "○";
+    dot.style.cssText = "font-size:14px; width:16px; flex-shrink:0; color:#666";
+    opt.appendChild(dot);
+
+    const cover = document.createElement("div");
+    cover.className = "new-book-cover";
+    if (candidate.coverUrl) {
+      const img = document.createElement("img");
+      img.src = candidate.coverUrl;
+      img.alt = "";
+      cover.appendChild(img);
+    }
+    opt.appendChild(cover);
+
+    const details = [
+      candidate.authors.join(", ") || "unknown author",
+      candidate.year,
+      candidate.publisher,
+    ].filter(Boolean).join(" · ");
+    const titleSpan = document.createElement("span");
+    titleSpan.className   = "ambig-option-title";
+    titleSpan.textContent = candidate.source === "kindle" ? "Kindle data only" : candidate.title;
+    const detailSpan = document.createElement("span");
+    detailSpan.className   = "new-book-details";
+    detailSpan.textContent = candidate.source === "kindle" ? `${candidate.title} · ${details}` : details;
+    titleSpan.appendChild(detailSpan);
+    opt.appendChild(titleSpan);
+
+    const sourceSpan = document.createElement("span");
+    sourceSpan.className   = "ambig-option-score";
+    sourceSpan.textContent = candidate.source === "kindle"
+      ? "Kindle"
+      : `${NEW_BOOK_SOURCES[candidate.source] || candidate.source}\n${Math.round(candidate.confidence * 100)}%`;
+    sourceSpan.style.whiteSpace = "pre";
+    opt.appendChild(sourceSpan);
+
+    return opt;
+  },
+
+  /** The editable title / authors / ISBN / year fields of a new-book card */
+  _renderNewBookForm() {
+    const el = document.createElement("div");
+    el.className = "new-book-form";
+
+    const inputs = {};
+    for (const [field, label, placeholder] of NEW_BOOK_FIELDS) {
+      const labelEl = document.createElement("label");
+      labelEl.textContent = label;
+      const input = document.createElement("input");
+      input.type        = "text";
+      input.placeholder = placeholder;
+      input.className   = `new-book-${field}`;
+      labelEl.appendChild(input);
+      el.appendChild(labelEl);
+      inputs[field] = input;
+    }
+    return { el, inputs };
+  },
+
+  _fillNewBookForm(form, candidate) {
+    for (const [field, value] of Object.entries(this._formValues(candidate))) {
+      form.inputs[field].value = value;
+    }
+  },
+
+  /** A candidate's fields as the form shows them */
+  _formValues(metadata) {
+    return {
+      title:   metadata.title || "",
+      authors: metadata.authors.join("; "),
+      isbn:    metadata.isbn || "",
+      year:    metadata.year || "",
+    };
+  },
+
+  /** Candidates repeated across searches share a key (as in bookLookup.js) */
+  _candidateKey(metadata) {
+    return `${metadata.source}:${metadata.isbn || `${metadata.title.toLowerCase()}|${metadata.year}`}`;
+  },
+
+  /** Create the new books as reviewed, then write every note */
+  async confirmNewBooks() {
+    const reviewed = [];
+
+    this._lookupResults.forEach((result, i) => {
+      const choice = this._newBookChoices[i];
+      if (!choice) {
+        reviewed.push(result);
+      } else if (choice.skip) {
+        this._logLine(`⏭ Not creating: ${result.parsedBook.title}`);
+      } else {
+        reviewed.push({ ...result, metadata: this._reviewedMetadata(result.metadata, choice) });
+      }
+    });
+
+    this._lookupResults = reviewed;
+    await this._writeImport();
+  },
+
+  /**
+   * The metadata a book is created from: the chosen candidate with the
+   * form's values. The fields the user changed are listed in `editedFields`
+   * so the importer keeps them; authors typed over Kindle data count as
+   * entered by hand.
+   */
+  _reviewedMetadata(metadata, { candidate, form }) {
+    const original = this._formValues(candidate);
+    const values = {};
+    for (const field of Object.keys(original)) values[field] = form.inputs[field].value.trim();
+    const editedFields = Object.keys(original).filter(field => values[field] !== original[field]);
+
+    const authors = values.authors.split(";").map(a => a.trim()).filter(Boolean);
+    const source = candidate.source === "kindle" && values.authors !== original.authors
+      ? "manual"
+      : candidate.source;
+
+    return {
+      ...candidate,
+      title:   values.title || metadata.title,
+      authors,
+      isbn:    values.isbn || null,
+      year:    values.year || null,
+      asin:    metadata.asin,
+      extra:   metadata.extra,
+      source,
+      editedFields,
+    };
+  },
+
+  /**
+   * Remember what the user decided for each book, so the next import links
+   * it (or skips it) without matching or review. Of the automatic matches
+   * only identifier matches are saved: a title match is made again on the
+   * next import, so a better item added since can still win.
+   */
+  async _saveDecisions(imported, confirmed, ignored) {
+    try {
+      const { LinkStore } = Zotero.KindleImporter;
+      const store = this._linkStore;
+      const record = (parsedBook, decision, itemKey) =>
+        store.set(this._libraryID, LinkStore.getBookKey(parsedBook), decision,
+          { itemKey, title: parsedBook.title, authors: parsedBook.authors });
+
+      const reviewed = new Set(confirmed.map(({ parsedBook }) => parsedBook));
+      for (const { parsedBook, itemID, created, matchedBy } of imported) {
+        const decision = created ? "new"
+          : reviewed.has(parsedBook) || matchedBy === "identifier" ? "link"
+          : null; // title matches, earlier imports and saved links (already stored)
+        const item = decision && Zotero.Items.get(itemID);
+        if (item) record(parsedBook, decision, item.key);
+      }
+      for (const { parsedBook } of ignored) record(parsedBook, "ignore");
+      await store.save();
+    } catch (err) {
+      // Non-fatal: the import itself succeeded
+      Zotero.logError(err);
+    }
+  },
+
   _setProgress(done, total, label) {
     const pct = total > 0 ? Math.round((done / total) * 100) : 0;
     document.getElementById("progress-bar").style.width  = `${pct}%`;
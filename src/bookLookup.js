@@ -11,8 +11,25 @@
  *   4. If all fail, return a minimal record so the book can still be added
  *      with whatever Kindle data we have
  *
+ * The top results of every search are kept as `candidates`, so the user
+ * can pick another one before the book is created. When the chosen result
+ * needs review (nothing found, or confidence below REVIEW_CONFIDENCE), the
+ * searches the strategy skipped are run too, so candidates come from
+ * every provider.
+ *
  * No API keys required. Both APIs are free for low-volume use.
  *
+ * Requests go through a scheduler (see requestScheduler.js) that runs a few
+ * books at once, spaces out requests per host and retries when a host is
+ * busy. A lookup that still gets "429 Too Many Requests" or a server error
+ * fails with a retryable error instead of falling back to Kindle data, so
+ * the book isn't created with less metadata than it could have.
+ *
+ * Inside Zotero, results are cached on disk (see lookupCache.js) and the
+ * cache is read before any request, so a book is only searched for again
+ * once its entry expires. A book nobody found is cached too, unless a
+ * request failed along the way.
+ *
  * Output shape (BookMetadata):
  * {
  *   title:       string,
@@ -22,8 +39,15 @@
  *   isbn:        string|null,    // ISBN-13 preferred, ISBN-10 fallback
  *   language:    string|null,
  *   numPages:    number|null,
- *   source:      "google"|"openlibrary"|"kindle",  // where metadata came from
+ *   asin:        string|null,    // from the parsed book; APIs don't return one
+ *   extra:       string,         // for Zotero's Extra field: "ASIN: …", so later imports match by identifier
+ *   coverUrl:    string|null,    // small cover image
+ *   source:      "google"|"openlibrary"|"kindle"|"manual",  // where metadata came from
+ *                                // ("manual": typed in by the user at review)
  *   confidence:  number,         // 0–1, how well the result matched the query
+ *   cached:      boolean,        // true when read from the lookup cache
+ *   candidates:  BookMetadata[], // top results of each provider, best first (without
+ *                                // their own candidates); empty if none
  * }
  */
 
@@ -33,11 +57,41 @@
 
 const GOOGLE_BOOKS_API   = "https://www.googleapis.com/books/v1/volumes";
 const OPEN_LIBRARY_API   = "https://openlibrary.org/search.json";
+const OPEN_LIBRARY_COVERS = "https://covers.openlibrary.org/b/id";
 
 // Minimum title similarity score to accept an API result as a match.
 // Below this we fall back to the next API or return a kindle-sourced record.
 const CONFIDENCE_THRESHOLD = 0.55;
 
+// Results below this confidence (or from Kindle data alone) are flagged for
+// review, and are shown with candidates from every provider.
+const REVIEW_CONFIDENCE = 0.75;
+
+// Candidates kept per provider
+const CANDIDATES_PER_PROVIDER = 3;
+
+// Unicode-aware tokenizer shared with matcher.js. Inside Zotero both files
+// are loaded into the same scope by bootstrap.js; under Node we require it.
+const LookupTokenizer =
+  typeof KindleTokenizer !== "undefined" ? KindleTokenizer : require("./tokenizer.js");
+const LookupCacheStore =
+  typeof KindleLookupCache !== "undefined" ? KindleLookupCache : require("./lookupCache.js");
+const LookupScheduler =
+  typeof KindleRequestScheduler !== "undefined"
+    ? KindleRequestScheduler
+    : require("./requestScheduler.js");
+
+// Books looked up at once, and the minimum time between requests to each
+// API host. Open Library asks clients to stay around one request a second.
+const LOOKUP_CONCURRENCY = 4;
+const LOOKUP_HOST_INTERVALS = {
+  "www.googleapis.com": 250,
+  "openlibrary.org":    1000,
+};
+
+// The on-disk lookup cache, loaded on first use in a session (Zotero only)
+let lookupCachePromise = null;
+
 // ─── Public API ───────────────────────────────────────────────────────────────
 
 /**
@@ -46,70 +100,75 @@ const CONFIDENCE_THRESHOLD = 0.55;
  * @param {Book} parsedBook   - A book object from parser.js
  * @param {object} [fetchFn]  - Optional fetch override for testing (defaults to global fetch)
  * @returns {Promise<BookMetadata>}
+ * @throws {Error} with `retryable: true` when an API kept refusing requests
  */
 async function lookupBook(parsedBook, fetchFn) {
-  const http = fetchFn || fetch;
-  const { title, authors } = parsedBook;
-  const authorStr = authors[0] || ""; // use first author for search
-
-  // ── 1. Google Books: title + author ────────────────────────────────────────
-  let result = await searchGoogleBooks(title, authorStr, http);
-  if (result && result.confidence >= CONFIDENCE_THRESHOLD) return result;
-
-  // ── 2. Google Books: title only (author string might be confusing it) ──────
-  if (authorStr) {
-    result = await searchGoogleBooks(title, "", http);
-    if (result && result.confidence >= CONFIDENCE_THRESHOLD) return result;
-  }
-
-  // ── 3. Open Library fallback ────────────────────────────────────────────────
-  result = await searchOpenLibrary(title, authorStr, http);
-  if (result && result.confidence >= CONFIDENCE_THRESHOLD) return result;
+  return lookupWith(parsedBook, createLookupScheduler(fetchFn).fetch);
+}
 
-  // ── 4. Give up gracefully — return what Kindle gave us ─────────────────────
-  return kindleFallback(parsedBook);
+/**
+ * Forget every cached lookup, so the next lookups query the APIs again.
+ *
+ * @returns {Promise<number>} How many entries were removed
+ */
+async function clearLookupCache() {
+  const cache = await getLookupCache();
+  if (!cache) return 0;
+
+  const removed = cache.size;
+  cache.clear();
+  await cache.save();
+  return removed;
 }
 
 /**
  * Look up metadata for all unmatched books from the matcher's output.
- * Runs with a small delay between requests to be polite to the APIs.
+ * Books are looked up several at a time through one request scheduler, so
+ * the per-host limits apply across the whole run.
+ *
+ * A book whose lookup failed gets `metadata: null` and an `error` message;
+ * `retryable` is true when the APIs were throttling or unavailable, and the
+ * book should be tried again later rather than added without metadata.
  *
  * @param {Array<{parsedBook}>} unmatchedBooks  - From matchBooksToZotero().unmatched
  * @param {object} [fetchFn]                    - Optional fetch override for testing
- * @param {function} [onProgress]               - Called after each lookup: (done, total, title)
- * @returns {Promise<Array<{parsedBook, metadata, needsReview}>>}
+ * @param {function} [onProgress]               - Called after each lookup: (done, total, title, error)
+ * @returns {Promise<Array<{parsedBook, metadata, needsReview, error?, retryable?}>>}
+ *          In the order given
  */
 async function lookupAllUnmatched(unmatchedBooks, fetchFn, onProgress) {
-  const results = [];
+  const http = createLookupScheduler(fetchFn).fetch;
   const total = unmatchedBooks.length;
+  let done = 0;
+
+  return Promise.all(unmatchedBooks.map(async ({ parsedBook }) => {
+    let result;
+    try {
+      const metadata = await lookupWith(parsedBook, http);
+      result = {
+        parsedBook,
+        metadata,
+        // Flag for UI review if we fell back to Kindle data or confidence is low
+        needsReview: metadata.source === "kindle" || metadata.confidence < REVIEW_CONFIDENCE,
+      };
+    } catch (err) {
+      result = { parsedBook, metadata: null, needsReview: true, error: err.message, retryable: !!err.retryable };
+    }
 
-  for (let i = 0; i < total; i++) {
-    const { parsedBook } = unmatchedBooks[i];
-    const metadata = await lookupBook(parsedBook, fetchFn);
-
-    results.push({
-      parsedBook,
-      metadata,
-      // Flag for UI review if we fell back to Kindle data or confidence is low
-      needsReview: metadata.source === "kindle" || metadata.confidence < 0.75,
-    });
-
-    if (onProgress) onProgress(i + 1, total, parsedBook.title);
-
-    // Polite delay between requests (skip after last one)
-    if (i < total - 1) await sleep(300);
-  }
-
-  return results;
+    done++;
+    if (onProgress) onProgress(done, total, parsedBook.title, result.error || null);
+    return result;
+  }));
 }
 
 /**
  * Human-readable summary of lookup results.
  */
 function summarizeLookupResults(results) {
-  const fromGoogle  = results.filter(r => r.metadata.source === "google").length;
-  const fromOL      = results.filter(r => r.metadata.source === "openlibrary").length;
-  const fromKindle  = results.filter(r => r.metadata.source === "kindle").length;
+  const fromGoogle  = results.filter(r => r.metadata && r.metadata.source === "google").length;
+  const fromOL      = results.filter(r => r.metadata && r.metadata.source === "openlibrary").length;
+  const fromKindle  = results.filter(r => r.metadata && r.metadata.source === "kindle").length;
+  const failed      = results.filter(r => r.error);
   const needsReview = results.filter(r => r.needsReview).length;
 
   const lines = [
@@ -117,19 +176,145 @@ function summarizeLookupResults(results) {
     `✅ Google Books:    ${fromGoogle}`,
     `✅ Open Library:    ${fromOL}`,
     `⚠️  Kindle only:     ${fromKindle} (limited metadata, needs review)`,
+    `❌ Lookup failed:   ${failed.length} (try again later)`,
     `👀 Needs review:    ${needsReview}`,
   ];
 
   if (fromKindle > 0) {
     lines.push("\n── Limited metadata (could not find online) ────────────");
-    for (const { parsedBook, metadata } of results.filter(r => r.metadata.source === "kindle")) {
+    for (const { parsedBook } of results.filter(r => r.metadata && r.metadata.source === "kindle")) {
       lines.push(`  ? "${parsedBook.title}" by ${parsedBook.authors.join(", ") || "(unknown)"}`);
     }
   }
 
+  if (failed.length > 0) {
+    lines.push("\n── Lookup failed ────────────────────────────────────────");
+    for (const { parsedBook, error } of failed) {
+      lines.push(`  ✗ "${parsedBook.title}" — ${error}`);
+    }
+  }
+
   return lines.join("\n");
 }
 
+// ─── Lookup ───────────────────────────────────────────────────────────────────
+
+/** lookupBook() through a given request function. */
+async function lookupWith(parsedBook, http) {
+  const metadata = await findMetadata(parsedBook, http);
+  const asin = parsedBook.asin || null;
+  return { ...metadata, asin, extra: asin ? `ASIN: ${asin}` : "" };
+}
+
+function createLookupScheduler(fetchFn) {
+  return LookupScheduler.createRequestScheduler({
+    fetchFn:       fetchFn || fetch,
+    concurrency:   LOOKUP_CONCURRENCY,
+    hostIntervals: LOOKUP_HOST_INTERVALS,
+  });
+}
+
+// ─── Cache ────────────────────────────────────────────────────────────────────
+
+/**
+ * Metadata from the lookup cache, or else from searchMetadata(). Fresh
+ * results are cached; a fallback record is only cached as "not found" when
+ * every request got an answer, so a network failure is retried next time.
+ */
+async function findMetadata(parsedBook, fetchFn) {
+  const cache = await getLookupCache();
+  const cached = cache && cache.get(parsedBook);
+  if (cached) {
+    const metadata = cached.metadata || kindleFallback(parsedBook);
+    return { candidates: [], ...metadata, cached: true }; // entries from before candidates were kept
+  }
+
+  let failed = false;
+  const http = async (url) => {
+    try {
+      const res = await fetchFn(url);
+      if (!res.ok) failed = true;
+      return res;
+    } catch (err) {
+      failed = true;
+      throw err;
+    }
+  };
+
+  const metadata = await searchMetadata(parsedBook, http);
+
+  if (cache && (metadata.source !== "kindle" || !failed)) {
+    cache.set(parsedBook, metadata.source === "kindle" ? null : metadata);
+    try {
+      await cache.save();
+    } catch (err) {
+      Zotero.logError(err); // the lookup itself still succeeded
+    }
+  }
+  return { ...metadata, cached: false };
+}
+
+function getLookupCache() {
+  if (typeof Zotero === "undefined") return Promise.resolve(null);
+  if (!lookupCachePromise) lookupCachePromise = LookupCacheStore.loadLookupCache();
+  return lookupCachePromise;
+}
+
+// ─── Search ───────────────────────────────────────────────────────────────────
+
+/** Try each source in turn; see the strategy at the top of this file. */
+async function searchMetadata(parsedBook, http) {
+  const { title, authors } = parsedBook;
+  const authorStr = authors[0] || ""; // use first author for search
+
+  const searches = [
+    // ── 1. Google Books: title + author ──────────────────────────────────────
+    () => searchGoogleBooks(title, authorStr, http),
+    // ── 2. Google Books: title only (author string might be confusing it) ────
+    authorStr ? () => searchGoogleBooks(title, "", http) : null,
+    // ── 3. Open Library fallback ─────────────────────────────────────────────
+    () => searchOpenLibrary(title, authorStr, http),
+  ].filter(Boolean);
+
+  const found = [];
+  let chosen = null;
+  let next = 0;
+  while (!chosen && next < searches.length) {
+    const results = await searches[next++]();
+    found.push(...results);
+    if (results[0] && results[0].confidence >= CONFIDENCE_THRESHOLD) chosen = results[0];
+  }
+
+  // A result that needs review is shown with every provider's candidates
+  if (!chosen || chosen.confidence < REVIEW_CONFIDENCE) {
+    while (next < searches.length) found.push(...await searches[next++]());
+  }
+
+  // ── 4. Give up gracefully — return what Kindle gave us ─────────────────────
+  const metadata = chosen || kindleFallback(parsedBook);
+  return { ...metadata, candidates: pickCandidates(found) };
+}
+
+/**
+ * The best CANDIDATES_PER_PROVIDER results of each provider, best first,
+ * with results repeated across searches (same provider and ISBN, or same
+ * title and year) kept once.
+ */
+function pickCandidates(results) {
+  const seen = new Set();
+  const perProvider = {};
+  return [...results]
+    .filter((result) => result.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence)
+    .filter((result) => {
+      const key = `${result.source}:${result.isbn || `${result.title.toLowerCase()}|${result.year}`}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      perProvider[result.source] = (perProvider[result.source] || 0) + 1;
+      return perProvider[result.source] <= CANDIDATES_PER_PROVIDER;
+    });
+}
+
 // ─── Google Books ─────────────────────────────────────────────────────────────
 
 async function searchGoogleBooks(title, author, http) {
@@ -139,25 +324,18 @@ async function searchGoogleBooks(title, author, http) {
 
     const url = `${GOOGLE_BOOKS_API}?q=${query}&maxResults=5&printType=books&langRestrict=en`;
     const res  = await http(url);
-    if (!res.ok) return null;
+    if (!res.ok) return [];
 
     const data = await res.json();
-    if (!data.items || data.items.length === 0) return null;
-
-    // Score each result and pick the best one
-    const scored = data.items
-      .map(item => ({
-        item,
-        score: scoreTitleMatch(title, item.volumeInfo?.title || ""),
-      }))
-      .sort((a, b) => b.score - a.score);
-
-    const best = scored[0];
-    if (best.score < CONFIDENCE_THRESHOLD) return null;
-
-    return extractGoogleBooksMetadata(best.item, best.score);
-  } catch {
-    return null;
+    if (!data.items || data.items.length === 0) return [];
+
+    // Score each result, best first
+    return data.items
+      .map(item => extractGoogleBooksMetadata(item, scoreTitleMatch(title, item.volumeInfo?.title || "")))
+      .sort((a, b) => b.confidence - a.confidence);
+  } catch (err) {
+    if (err.retryable) throw err; // throttled: not the same as "not found"
+    return [];
   }
 }
 
@@ -176,6 +354,8 @@ function extractGoogleBooksMetadata(item, confidence) {
     isbn:       isbn13 || isbn10,
     language:   info.language || null,
     numPages:   info.pageCount || null,
+    coverUrl:   (info.imageLinks?.smallThumbnail || info.imageLinks?.thumbnail || "")
+                  .replace(/^http:/, "https:") || null,
     source:     "google",
     confidence,
   };
@@ -189,24 +369,17 @@ async function searchOpenLibrary(title, author, http) {
     if (author) url += `&author=${encodeURIComponent(author)}`;
 
     const res  = await http(url);
-    if (!res.ok) return null;
+    if (!res.ok) return [];
 
     const data = await res.json();
-    if (!data.docs || data.docs.length === 0) return null;
-
-    const scored = data.docs
-      .map(doc => ({
-        doc,
-        score: scoreTitleMatch(title, doc.title || ""),
-      }))
-      .sort((a, b) => b.score - a.score);
-
-    const best = scored[0];
-    if (best.score < CONFIDENCE_THRESHOLD) return null;
-
-    return extractOpenLibraryMetadata(best.doc, best.score);
-  } catch {
-    return null;
+    if (!data.docs || data.docs.length === 0) return [];
+
+    return data.docs
+      .map(doc => extractOpenLibraryMetadata(doc, scoreTitleMatch(title, doc.title || "")))
+      .sort((a, b) => b.confidence - a.confidence);
+  } catch (err) {
+    if (err.retryable) throw err;
+    return [];
   }
 }
 
@@ -226,6 +399,7 @@ function extractOpenLibraryMetadata(doc, confidence) {
     isbn,
     language:   (doc.language || [])[0] || null,
     numPages:   doc.number_of_pages_median || null,
+    coverUrl:   doc.cover_i ? `${OPEN_LIBRARY_COVERS}/${doc.cover_i}-S.jpg` : null,
     source:     "openlibrary",
     confidence,
   };
@@ -240,9 +414,10 @@ function kindleFallback(parsedBook) {
     authors:    parsedBook.authors,
     publisher:  null,
     year:       null,
-    isbn:       null,
+    isbn:       parsedBook.isbn || null,
     language:   null,
     numPages:   null,
+    coverUrl:   null,
     source:     "kindle",
     confidence: 0,
   };
@@ -253,11 +428,11 @@ function kindleFallback(parsedBook) {
 /**
  * Score how well an API result title matches the query title.
  * Reuses the same bigram + containment approach from matcher.js,
- * inlined here so bookLookup.js has no dependencies.
+ * with the shared tokenizer.
  */
 function scoreTitleMatch(queryTitle, resultTitle) {
-  const a = tokenize(queryTitle);
-  const b = tokenize(resultTitle);
+  const a = LookupTokenizer.tokenize(queryTitle);
+  const b = LookupTokenizer.tokenize(resultTitle);
 
   if (a.size === 0 && b.size === 0) return 1;
   if (a.size === 0 || b.size === 0) return 0;
@@ -277,40 +452,16 @@ function scoreTitleMatch(queryTitle, resultTitle) {
   return Math.max(dice, containment);
 }
 
-const STOP_WORDS = new Set([
-  "a","an","the","of","in","on","at","to","for","and","or",
-  "with","by","from","as","is","its","it","be","was","are",
-]);
-
-function tokenize(str) {
-  if (!str) return new Set();
-  const words = str
-    .toLowerCase()
-    .replace(/['']/g, "")
-    .replace(/[^a-z0-9\s]/g, " ")
-    .split(/\s+/)
-    .filter(w => w.length > 1 && !STOP_WORDS.has(w));
-
-  const bigrams = new Set();
-  for (const word of words) {
-    bigrams.add(word);
-    for (let i = 0; i < word.length - 1; i++) {
-      bigrams.add(word.slice(i, i + 2));
-    }
-  }
-  return bigrams;
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 // ─── Exports ──────────────────────────────────────────────────────────────────
 
 var KindleBookLookup = {
   lookupBook,
   lookupAllUnmatched,
   summarizeLookupResults,
+  clearLookupCache,
+  REVIEW_CONFIDENCE,
+  // Shared with the dialog's new-book review
+  _kindleFallback: kindleFallback,
 };
 
 if (typeof module !== "undefined" && module.exports) {
@@ -0,0 +1,134 @@
+/**
+ * bookcisionParser.js
+ * Parses a Bookcision JSON export (the bookmarklet that downloads highlights
+ * from read.amazon.com/notebook) into the same structure as parser.js.
+ *
+ * A Bookcision file describes one book:
+ *   {
+ *     "asin": "B00555X8OA",
+ *     "title": "Thinking, Fast and Slow",
+ *     "authors": "Daniel Kahneman",
+ *     "highlights": [
+ *       { "text": "…", "isNoteOnly": false, "note": "my note",
+ *         "location": { "url": "kindle://book?action=open&asin=…&location=269", "value": 269 } }
+ *     ]
+ *   }
+ * An array of such objects (several books) is accepted too.
+ *
+ * Output shape: identical to parseClippings() — { books, skipped, collapsed, errors, diagnostics }.
+ * Books gain `asin: string|null`, taken from the export.
+ */
+
+"use strict";
+
+// Parser helpers shared with parser.js. Inside Zotero both files are loaded
+// into the same scope by bootstrap.js; under Node we require it.
+const BookcisionParserHelpers =
+  typeof KindleParser !== "undefined" ? KindleParser : require("./parser.js");
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * True if the file content looks like a Bookcision JSON export.
+ *
+ * @param {string} content
+ * @returns {boolean}
+ */
+function isBookcisionJSON(content) {
+  const trimmed = content.replace(/^\uFEFF/, "").trim();
+  if (trimmed[0] !== "{" && trimmed[0] !== "[") return false;
+  return /"highlights"\s*:/.test(trimmed) && /"(?:asin|title)"\s*:/.test(trimmed);
+}
+
+/**
+ * Parse the full text content of a Bookcision JSON export.
+ *
+ * @param {string} content - Raw JSON text
+ * @returns {{ books: Map<string, Book>, skipped: number, collapsed: number, errors: string[], diagnostics: Diagnostic[] }}
+ */
+function parseBookcisionJSON(content) {
+  const books = new Map();
+  const log = BookcisionParserHelpers._createParseLog();
+
+  let data;
+  try {
+    data = JSON.parse(content.replace(/^\uFEFF/, ""));
+  } catch (err) {
+    log.error(err.message, null, content.slice(0, 200));
+    return { books, collapsed: 0, ...log.result() };
+  }
+
+  for (const entry of Array.isArray(data) ? data : [data]) {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      log.error("Entry is not a book object", null, String(JSON.stringify(entry)).slice(0, 200));
+      continue;
+    }
+
+    const rawTitle = String(entry.title || "").trim();
+    if (!rawTitle) {
+      log.error("Book has no title", null, JSON.stringify(entry).slice(0, 200));
+      continue;
+    }
+
+    const { title, series, volume, asin } = BookcisionParserHelpers._cleanTitle(rawTitle);
+    const creators = BookcisionParserHelpers._parseCreators(String(entry.authors || ""));
+    const authors  = creators.map(BookcisionParserHelpers._creatorName);
+    const bookKey = BookcisionParserHelpers._makeBookKey(title, authors, volume);
+
+    if (!books.has(bookKey)) {
+      books.set(bookKey, {
+        title,
+        rawTitle,
+        authors,
+        creators,
+        series,
+        volume,
+        asin: entry.asin || asin,
+        highlights: [],
+        notes: [],
+        bookmarks: [],
+      });
+    }
+    const book = books.get(bookKey);
+
+    for (const h of Array.isArray(entry.highlights) ? entry.highlights : []) {
+      if (!h || typeof h !== "object") {
+        log.error("Highlight is not an object", null, String(JSON.stringify(h)));
+        continue;
+      }
+      try {
+        const text = h.isNoteOnly ? "" : String(h.text || "").replace(/\s+/g, " ").trim();
+        const noteText = String((h.isNoteOnly ? h.text : h.note) || "").replace(/\s+/g, " ").trim();
+        if (!text && !noteText) { log.skip("empty", null, JSON.stringify(h)); continue; }
+
+        const location = h.location && Number.isFinite(Number(h.location.value))
+          ? Number(h.location.value)
+          : null;
+        const base = { page: null, locationStart: location, locationEnd: null, dateAdded: null };
+
+        let highlight = null;
+        if (text) {
+          highlight = { type: "highlight", ...base, text };
+          book.highlights.push(highlight);
+        }
+        if (noteText) {
+          book.notes.push({ type: "note", ...base, text: noteText, parentHighlight: highlight });
+        }
+      } catch (err) {
+        log.error(err.message, null, JSON.stringify(h));
+      }
+    }
+  }
+
+  const collapsed = BookcisionParserHelpers._finalizeBooks(books);
+
+  return { books, collapsed, ...log.result() };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+var BookcisionParser = { isBookcisionJSON, parseBookcisionJSON };
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = BookcisionParser;
+}
@@ -6,9 +6,10 @@
  * Three operations:
  *   1. attachNoteToExisting  — adds a highlights note to an already-matched Zotero item
  *                              and ensures the item appears in "Kindle Imports"
- *   2. createBookAndNote     — creates a new Zotero book item from lookup metadata,
- *                              places it in the "Kindle Imports" collection,
- *                              then attaches a highlights note
+ *   2. createBookAndNote     — creates a new Zotero book item (through Zotero's ISBN
+ *                              translators when lookup found an ISBN, else from the
+ *                              lookup metadata), places it in the "Kindle Imports"
+ *                              collection, then attaches a highlights note
  *   3. importAll             — orchestrates the full import from matcher + lookup output
  *
  * Safety:
@@ -19,7 +20,8 @@
  * Note format:
  *   Zotero notes are stored as HTML. We generate clean, readable HTML with
  *   the book title as an <h1>, each highlight in a <blockquote>, and
- *   your own notes in a styled <p>.
+ *   your own notes as a comment under the highlight they annotate
+ *   (or in a styled <p> of their own when they annotate nothing).
  */
 
 "use strict";
@@ -35,6 +37,14 @@ const FINGERPRINT_COMMENT_RE = /<!--\s*kindle-import-meta:\s*(\{[^}]+\})\s*-->/;
 // Name of the collection all imported books are placed in
 const IMPORT_COLLECTION_NAME = "Kindle Imports";
 
+// Fields the user can edit at review that are set on a translated item
+const ISBN_OVERRIDE_FIELDS = ["title", "authors", "year"];
+
+// ISBN validation shared with matcher.js. Inside Zotero all files are loaded
+// into the same scope by bootstrap.js; under Node we require it.
+const ImporterMatcher =
+  typeof KindleMatcher !== "undefined" ? KindleMatcher : require("./matcher.js");
+
 // ─── Public API ───────────────────────────────────────────────────────────────
 
 /**
@@ -44,6 +54,8 @@ const IMPORT_COLLECTION_NAME = "Kindle Imports";
  * @param {Array}  importInput.matched      - From matchBooksToZotero().matched
  * @param {Array}  importInput.confirmed    - Ambiguous books the user confirmed in UI
  * @param {Array}  importInput.lookupResults - From lookupAllUnmatched()
+ * @param {boolean} [importInput.includeBookmarks=false] - Render and fingerprint bookmarks
+ * @param {number} [importInput.libraryID]  - Library to write to; defaults to the user's library
  * @param {object} [zoteroAPI]              - Injected Zotero API for testing
  * @param {function} [onProgress]           - Called after each book: (done, total, title)
  * @returns {Promise<ImportReport>}
@@ -54,14 +66,17 @@ const IMPORT_COLLECTION_NAME = "Kindle Imports";
  *   notesUpdated:  number,   // note replaced because new highlights were found
  *   booksCreated:  number,
  *   skipped:       number,   // no new highlights since last import
- *   failed:        Array<{title, reason}>
+ *   failed:        Array<{title, reason}>,
+ *   imported:      Array<{parsedBook, itemID, created, matchedBy}>  // every book that succeeded;
+ *                  // matchedBy is as in the match result, null for created books
  * }
  */
 async function importAll(importInput, zoteroAPI, onProgress) {
-  const api    = zoteroAPI || buildZoteroAPI();
-  const report = { notesAdded: 0, notesUpdated: 0, booksCreated: 0, skipped: 0, failed: [] };
+  const api    = zoteroAPI || buildZoteroAPI(importInput.libraryID);
+  const report = { notesAdded: 0, notesUpdated: 0, booksCreated: 0, skipped: 0, failed: [], imported: [] };
 
   const { matched = [], confirmed = [], lookupResults = [] } = importInput;
+  const noteOptions = { includeBookmarks: !!importInput.includeBookmarks };
 
   // Ensure the "Kindle Imports" collection exists once up front
   const importCollectionID = await getOrCreateCollection(IMPORT_COLLECTION_NAME, api);
@@ -70,12 +85,13 @@ async function importAll(importInput, zoteroAPI, onProgress) {
   let done = 0;
 
   // ── 1. Attach notes to already-matched Zotero items ────────────────────────
-  for (const { parsedBook, zoteroItem } of [...matched, ...confirmed]) {
+  for (const { parsedBook, zoteroItem, matchedBy } of [...matched, ...confirmed]) {
     try {
-      const result = await attachNoteToExisting(parsedBook, zoteroItem, api, importCollectionID);
+      const result = await attachNoteToExisting(parsedBook, zoteroItem, api, importCollectionID, noteOptions);
       if (result === "skipped")       report.skipped++;
       else if (result === "updated")  report.notesUpdated++;
       else                            report.notesAdded++;
+      report.imported.push({ parsedBook, itemID: api.getItemID(zoteroItem), created: false, matchedBy: matchedBy || null });
     } catch (err) {
       report.failed.push({ title: parsedBook.title, reason: err.message });
     }
@@ -86,9 +102,10 @@ async function importAll(importInput, zoteroAPI, onProgress) {
   // ── 2. Create new items + notes for unmatched books ────────────────────────
   for (const { parsedBook, metadata } of lookupResults) {
     try {
-      await createBookAndNote(parsedBook, metadata, importCollectionID, api);
+      const itemID = await createBookAndNote(parsedBook, metadata, importCollectionID, api, noteOptions);
       report.booksCreated++;
       report.notesAdded++;
+      report.imported.push({ parsedBook, itemID, created: true, matchedBy: null });
     } catch (err) {
       report.failed.push({ title: parsedBook.title, reason: err.message });
     }
@@ -114,9 +131,10 @@ async function importAll(importInput, zoteroAPI, onProgress) {
  * @param {object}         zoteroItem    - Real Zotero item or mock
  * @param {object}         api           - Zotero API adapter
  * @param {number|string}  collectionID  - ID of the "Kindle Imports" collection
+ * @param {object}         [options]     - As for buildNoteHTML()
  * @returns {Promise<"added"|"updated"|"skipped">}
  */
-async function attachNoteToExisting(parsedBook, zoteroItem, api, collectionID) {
+async function attachNoteToExisting(parsedBook, zoteroItem, api, collectionID, options = {}) {
   const itemID = api.getItemID(zoteroItem);
 
   // Always ensure the item appears in "Kindle Imports", regardless of note state
@@ -128,13 +146,13 @@ async function attachNoteToExisting(parsedBook, zoteroItem, api, collectionID) {
 
   if (!existingNote) {
     // No previous Kindle note — create one fresh (no tag)
-    const html = buildNoteHTML(parsedBook);
+    const html = buildNoteHTML(parsedBook, options);
     await api.createNote(itemID, html);
     return "added";
   }
 
   // Compare fingerprints to decide whether anything has changed
-  const currentFP = computeFingerprint(parsedBook);
+  const currentFP = computeFingerprint(parsedBook, options);
   const storedFP  = parseNoteFingerprint(existingNote.html);
 
   if (storedFP && storedFP.hash === currentFP.hash) {
@@ -143,34 +161,84 @@ async function attachNoteToExisting(parsedBook, zoteroItem, api, collectionID) {
 
   // Fingerprints differ (or note predates fingerprinting) — replace with fresh note
   await api.deleteNote(existingNote.id);
-  const html = buildNoteHTML(parsedBook);
+  const html = buildNoteHTML(parsedBook, options);
   await api.createNote(itemID, html);
   return "updated";
 }
 
 /**
- * Create a new Zotero book item from lookup metadata, add it to the
- * Kindle Imports collection, then attach a highlights note.
+ * Create a new Zotero book item, add it to the Kindle Imports collection,
+ * then attach a highlights note.
+ *
+ * When lookup found an ISBN, the item is built by Zotero's identifier
+ * translators, as with "Add Item by Identifier", which fill in fields and
+ * creator types the lookup doesn't have. If they produce nothing, the item
+ * is created from the lookup metadata instead.
+ *
+ * Metadata the user edited at review lists the fields in `editedFields`.
+ * The translators are still used when the ISBN is the only edited field, or
+ * the user entered a valid ISBN; any title, authors or year they typed are
+ * then set on the translated item. Other edits are saved as typed.
  *
  * @param {Book}           parsedBook
- * @param {BookMetadata}   metadata       - From bookLookup.js
+ * @param {BookMetadata}   metadata       - From bookLookup.js, or as reviewed in the dialog
  * @param {number|string}  collectionID   - ID of the "Kindle Imports" collection
  * @param {object}         api            - Zotero API adapter
+ * @param {object}         [options]      - As for buildNoteHTML()
+ * @returns {Promise<number|string>} ID of the new item
  */
-async function createBookAndNote(parsedBook, metadata, collectionID, api) {
-  const itemID = await api.createBook({
+async function createBookAndNote(parsedBook, metadata, collectionID, api, options = {}) {
+  let itemID = null;
+  if (useISBNTranslators(metadata)) {
+    itemID = await api.createBookFromISBN({
+      isbn:      metadata.isbn,
+      extra:     metadata.extra || "",
+      overrides: getEditedOverrides(metadata),
+      collectionID,
+    });
+  }
+
+  if (!itemID) itemID = await createBookFromMetadata(parsedBook, metadata, collectionID, api);
+
+  const html = buildNoteHTML(parsedBook, options);
+  await api.createNote(itemID, html); // no tag
+  return itemID;
+}
+
+/** True if a new book should be created through the ISBN translators; see createBookAndNote(). */
+function useISBNTranslators(metadata) {
+  if (!metadata.isbn) return false;
+  const edited = metadata.editedFields || [];
+  if (edited.length === 0) return true;
+  if (!edited.includes("isbn")) return false;
+  return edited.length === 1 || ImporterMatcher._normalizeISBN(metadata.isbn) !== null;
+}
+
+/** The edited title, authors and year, to set on a translated item */
+function getEditedOverrides(metadata) {
+  const overrides = {};
+  for (const field of ISBN_OVERRIDE_FIELDS) {
+    if ((metadata.editedFields || []).includes(field)) overrides[field] = metadata[field];
+  }
+  return overrides;
+}
+
+/** Create a new book item from lookup metadata alone; returns its ID. */
+async function createBookFromMetadata(parsedBook, metadata, collectionID, api) {
+  // Without lookup authors, use the parser's structured names (roles, institutions)
+  const useParsedNames = metadata.authors.length === 0 || metadata.source === "kindle";
+  return api.createBook({
     title:       metadata.title     || parsedBook.title,
-    authors:     metadata.authors.length ? metadata.authors : parsedBook.authors,
+    authors:     useParsedNames ? parsedBook.authors : metadata.authors,
+    creators:    useParsedNames ? parsedBook.creators : null,
     publisher:   metadata.publisher || "",
     year:        metadata.year      || "",
     isbn:        metadata.isbn      || "",
     language:    metadata.language  || "",
     numPages:    metadata.numPages  || "",
+    extra:       metadata.extra     || "",
     collectionID,
   });
-
-  const html = buildNoteHTML(parsedBook);
-  await api.createNote(itemID, html); // no tag
 }
 
 /**
@@ -201,23 +269,32 @@ function summarizeImportReport(report) {
  *   <!-- kindle-import-meta: {...} -->   ← machine-readable fingerprint
  *   <h1>Kindle Notes</h1>
  *   <p><strong>Book Title</strong></p>
- *   <p><em>Imported on DATE — N highlights, M notes</em></p>
+ *   <p><em>Imported on DATE — N highlights, M notes[, K bookmarks]</em></p>
  *   --- for each highlight ---
  *   <blockquote>Highlight text</blockquote>
  *   <p><small>📍 Page 23 · Location 342–344 · Jan 5, 2025</small></p>
- *   --- for each note ---
+ *   <p>💬 <em>note attached to this highlight</em></p>
+ *   --- for each note without a parent highlight ---
  *   <p><strong>📝 Note:</strong> your note text</p>
  *   <p><small>📍 Page 23 · Jan 5, 2025</small></p>
+ *   --- if options.includeBookmarks and the book has bookmarks ---
+ *   <h2>Bookmarked locations</h2>
+ *   <ul><li>Page 40 · Location 610 · Jan 6, 2025</li>…</ul>
+ *
+ * @param {Book}    parsedBook
+ * @param {object}  [options]
+ * @param {boolean} [options.includeBookmarks=false] - Render the book's bookmarks
  */
-function buildNoteHTML(parsedBook) {
+function buildNoteHTML(parsedBook, options = {}) {
   const { title, highlights, notes } = parsedBook;
+  const bookmarks = options.includeBookmarks ? parsedBook.bookmarks || [] : [];
   const importDate = new Date().toLocaleDateString("en-US", {
     year: "numeric", month: "long", day: "numeric",
   });
 
   // Embed a machine-readable fingerprint so future imports can detect changes
   // and re-identify this note without relying on tags.
-  const fp = computeFingerprint(parsedBook);
+  const fp = computeFingerprint(parsedBook, options);
   const metaComment = `<!-- kindle-import-meta: ${JSON.stringify(fp)} -->`;
 
   const lines = [
@@ -226,25 +303,54 @@ function buildNoteHTML(parsedBook) {
     `<p><strong>${escapeHTML(title)}</strong></p>`,
     `<p><em>Imported on ${importDate} — ` +
       `${highlights.length} highlight${highlights.length !== 1 ? "s" : ""}, ` +
-      `${notes.length} note${notes.length !== 1 ? "s" : ""}</em></p>`,
+      `${notes.length} note${notes.length !== 1 ? "s" : ""}` +
+      (bookmarks.length ? `, ${bookmarks.length} bookmark${bookmarks.length !== 1 ? "s" : ""}` : "") +
+      `</em></p>`,
     `<hr/>`,
   ];
 
-  // Merge highlights and notes, sorted by location
-  const allClips = [...highlights, ...notes].sort(compareByLocation);
+  // Notes linked to a highlight by the parser render as comments under it;
+  // orphan notes are merged into the location-sorted stream on their own.
+  const notesByHighlight = new Map();
+  const orphanNotes = [];
+  for (const note of notes) {
+    const parent = note.parentHighlight;
+    if (parent && highlights.includes(parent)) {
+      if (!notesByHighlight.has(parent)) notesByHighlight.set(parent, []);
+      notesByHighlight.get(parent).push(note);
+    } else {
+      orphanNotes.push(note);
+    }
+  }
+
+  const allClips = [...highlights, ...orphanNotes].sort(compareByLocation);
 
   for (const clip of allClips) {
     if (clip.type === "highlight") {
       lines.push(`<blockquote>${escapeHTML(clip.text)}</blockquote>`);
+      lines.push(`<p><small>${formatLocation(clip)}</small></p>`);
+      for (const note of notesByHighlight.get(clip) || []) {
+        lines.push(`<p>💬 <em>${escapeHTML(note.text)}</em></p>`);
+      }
     } else {
       lines.push(
         `<p><strong>📝 Note:</strong> ${escapeHTML(clip.text)}</p>`
       );
+      lines.push(`<p><small>${formatLocation(clip)}</small></p>`);
     }
-    lines.push(`<p><small>${formatLocation(clip)}</small></p>`);
     lines.push(`<p></p>`); // breathing room between clips
   }
 
+  // Bookmarks have no text, so they get one compact list at the end
+  if (bookmarks.length > 0) {
+    lines.push(`<h2>Bookmarked locations</h2>`);
+    lines.push(`<ul>`);
+    for (const bookmark of bookmarks) {
+      lines.push(`<li>${formatLocation(bookmark)}</li>`);
+    }
+    lines.push(`</ul>`);
+  }
+
   return lines.join("\n");
 }
 
@@ -255,16 +361,24 @@ function buildNoteHTML(parsedBook) {
  * Uses a djb2 hash over the sorted location:text pairs so that any change —
  * addition, removal, or edit — produces a different hash.
  *
- * @param {Book} parsedBook
+ * Bookmarks count only when options.includeBookmarks is set, so notes
+ * imported without them keep the same hash and aren't needlessly replaced.
+ *
+ * @param {Book}    parsedBook
+ * @param {object}  [options]
+ * @param {boolean} [options.includeBookmarks=false]
  * @returns {{ count: number, hash: string, kindleKey: string }}
  */
-function computeFingerprint(parsedBook) {
-  const allClips = [...parsedBook.highlights, ...parsedBook.notes]
+function computeFingerprint(parsedBook, options = {}) {
+  const bookmarks = options.includeBookmarks ? parsedBook.bookmarks || [] : [];
+  const allClips = [...parsedBook.highlights, ...parsedBook.notes, ...bookmarks]
     .sort((a, b) => (a.locationStart ?? a.page ?? 0) - (b.locationStart ?? b.page ?? 0));
 
   const count = allClips.length;
   const hashInput = allClips
-    .map(c => `${c.locationStart ?? c.page ?? 0}:${c.text}`)
+    .map(c => c.type === "bookmark"
+      ? `${c.locationStart ?? c.page ?? 0}:bookmark`
+      : `${c.locationStart ?? c.page ?? 0}:${c.text}`)
     .join("|");
 
   // kindleKey is the stable identifier used to re-find this book's note on future
@@ -272,7 +386,8 @@ function computeFingerprint(parsedBook) {
   const kindleKey =
     parsedBook.title.toLowerCase().replace(/\s+/g, " ").trim() +
     "::" +
-    parsedBook.authors.map(a => a.toLowerCase()).sort().join(",");
+    parsedBook.authors.map(a => a.toLowerCase()).sort().join(",") +
+    (parsedBook.volume ? `::${parsedBook.volume}` : "");
 
   return { count, hash: djb2Hash(hashInput), kindleKey };
 }
@@ -311,9 +426,21 @@ function djb2Hash(str) {
 /**
  * Builds an adapter that wraps the real Zotero global API.
  * This indirection lets us inject a mock in tests.
+ *
+ * Everything is written to one library (a group library works as well as
+ * the user's own), which must be editable.
+ *
+ * @param {number} [libraryID] - Defaults to the user's library
  */
-function buildZoteroAPI() {
+function buildZoteroAPI(libraryID = Zotero.Libraries.userLibraryID) {
+  const library = Zotero.Libraries.get(libraryID);
+  if (!library) throw new Error(`Library ${libraryID} not found`);
+  if (!library.editable) throw new Error(`"${library.name}" is read-only`);
+
   return {
+    /** The library every item, note and collection is written to */
+    libraryID,
+
     /** Get the numeric ID of a Zotero item */
     getItemID(item) {
       return item.id;
@@ -353,7 +480,7 @@ function buildZoteroAPI() {
     /** Create a child note on an existing item (no tag) */
     async createNote(parentItemID, html) {
       const note = new Zotero.Item("note");
-      note.libraryID  = Zotero.Libraries.userLibraryID;
+      note.libraryID  = libraryID;
       note.parentID   = parentItemID;
       note.setNote(html);
       await note.saveTx();
@@ -373,25 +500,28 @@ function buildZoteroAPI() {
       }
     },
 
-    /** Create a new book item and return its ID */
-    async createBook({ title, authors, publisher, year, isbn, language, numPages, collectionID }) {
+    /**
+     * Create a new book item and return its ID. Structured `creators` (from
+     * parser.js) are used when given; otherwise `authors` display names are split.
+     */
+    async createBook({ title, authors, creators, publisher, year, isbn, language, numPages, extra, collectionID }) {
       const item = new Zotero.Item("book");
-      item.libraryID = Zotero.Libraries.userLibraryID;
+      item.libraryID = libraryID;
       item.setField("title",     title);
       item.setField("publisher", publisher);
       item.setField("date",      year);
       item.setField("ISBN",      isbn);
       item.setField("language",  language);
       item.setField("numPages",  numPages ? String(numPages) : "");
+      item.setField("extra",     extra || "");
 
       // Add authors as creators
-      const creators = authors.map(name => {
-        const parts = name.trim().split(/\s+/);
-        const lastName  = parts.length > 1 ? parts.pop() : parts[0];
-        const firstName = parts.join(" ");
-        return { creatorType: "author", firstName, lastName };
-      });
-      item.setCreators(creators);
+      const zoteroCreators = creators && creators.length
+        ? creators.map(c => c.isInstitution
+          ? { creatorType: c.role, lastName: c.lastName, fieldMode: 1 } // single-field name
+          : { creatorType: c.role, firstName: c.firstName, lastName: c.lastName })
+        : authors.map(nameToCreator);
+      item.setCreators(zoteroCreators);
 
       // Add to collection
       if (collectionID) item.addToCollection(collectionID);
@@ -400,6 +530,45 @@ function buildZoteroAPI() {
       return item.id;
     },
 
+    /**
+     * Create a book item by ISBN through Zotero's search translators (the
+     * "Add Item by Identifier" path) and return its ID, or null if no
+     * translator finds the ISBN. `extra` lines are appended to the item's
+     * own Extra field; `overrides` ({ title, authors, year }, each optional)
+     * replace what the translator found.
+     */
+    async createBookFromISBN({ isbn, extra, overrides = {}, collectionID }) {
+      const translate = new Zotero.Translate.Search();
+      translate.setIdentifier({ ISBN: isbn.split(/[\s,;]+/)[0] });
+
+      let items;
+      try {
+        const translators = await translate.getTranslators();
+        if (translators.length === 0) return null;
+        translate.setTranslator(translators);
+        items = await translate.translate({
+          libraryID,
+          collections: collectionID ? [collectionID] : false,
+          saveAttachments: false,
+        });
+      } catch (err) {
+        // No result or a network failure — the caller falls back to createBook()
+        Zotero.debug(`KindleImporter: translation of ISBN ${isbn} failed — ${err.message || err}`);
+        return null;
+      }
+      if (!items || items.length === 0) return null;
+
+      const item = items[0];
+      if (extra) item.setField("extra", [item.getField("extra"), extra].filter(Boolean).join("\n"));
+      if (overrides.title) item.setField("title", overrides.title);
+      if (overrides.year) item.setField("date", overrides.year);
+      if (overrides.authors && overrides.authors.length > 0) {
+        item.setCreators(overrides.authors.map(nameToCreator));
+      }
+      if (extra || Object.keys(overrides).length > 0) await item.saveTx();
+      return item.id;
+    },
+
     /** Get or create a collection by name, return its ID */
     async getOrCreateCollection(name) {
       return getOrCreateCollection(name, this);
@@ -407,12 +576,20 @@ function buildZoteroAPI() {
   };
 }
 
+/** "First Middle Last" → a Zotero author creator */
+function nameToCreator(name) {
+  const parts = name.trim().split(/\s+/);
+  const lastName  = parts.length > 1 ? parts.pop() : parts[0];
+  const firstName = parts.join(" ");
+  return { creatorType: "author", firstName, lastName };
+}
+
 // ─── Collection Helper ────────────────────────────────────────────────────────
 
 async function getOrCreateCollection(name, api) {
   // When running inside Zotero
   if (typeof Zotero !== "undefined") {
-    const libraryID = Zotero.Libraries.userLibraryID;
+    const libraryID = (api && api.libraryID) || Zotero.Libraries.userLibraryID;
     const collections = Zotero.Collections.getByLibrary(libraryID);
     const existing = collections.find(c => c.name === name);
     if (existing) return existing.id;
@@ -437,6 +614,7 @@ async function getOrCreateCollection(name, api) {
 
 function formatLocation(clip) {
   const parts = [];
+  if (clip.chapter)       parts.push(clip.chapter);
   if (clip.page)          parts.push(`Page ${clip.page}`);
   if (clip.locationStart) {
     const loc = clip.locationEnd && clip.locationEnd !== clip.locationStart
@@ -0,0 +1,194 @@
+/**
+ * koboParser.js
+ * Reads highlights and notes from a Kobo e-reader's database
+ * (.kobo/KoboReader.sqlite on the device) into the same structure as parser.js.
+ *
+ * Kobo keeps annotations in the `Bookmark` table, one row per highlight,
+ * note or dog-ear, keyed to the book by `VolumeID`. Book titles, authors and
+ * chapter titles live in the `content` table:
+ *   ContentType 6   — a book (ContentID = Bookmark.VolumeID)
+ *   ContentType 899 — a chapter (ContentID starts with Bookmark.ContentID)
+ *
+ * Output shape: identical to parseClippings() — { books, skipped, collapsed, errors, diagnostics }.
+ * Kobo has no Kindle-style locations or page numbers, so clips carry
+ * `chapter` instead and keep the reading order of the database.
+ *
+ * The database is opened through Zotero's DBConnection (mozStorage) on a
+ * temporary copy, so the file on the device is never locked or modified.
+ */
+
+"use strict";
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+// One row per visible annotation, with its book and chapter, in reading order.
+// A chapter's ContentID starts with the bookmark's ContentID; it's compared
+// with substr() because LIKE would treat "_" and "%" in the ID as wildcards.
+// Where several chapters match, MIN() keeps the first, and SQLite takes the
+// bare chapter columns from that same row.
+const KOBO_BOOKMARK_QUERY = `
+  SELECT b.BookmarkID, b.VolumeID, b.Text, b.Annotation, b.Type, b.DateCreated,
+         book.Title               AS BookTitle,
+         book.Attribution         AS Attribution,
+         book.ISBN                AS ISBN,
+         chapter.Title            AS ChapterTitle,
+         MIN(chapter.VolumeIndex) AS ChapterIndex
+    FROM Bookmark b
+    JOIN content book ON book.ContentID = b.VolumeID AND book.ContentType = 6
+    LEFT JOIN content chapter
+      ON chapter.ContentType = 899
+     AND substr(chapter.ContentID, 1, length(b.ContentID)) = b.ContentID
+   WHERE b.Hidden IS NULL OR b.Hidden = 'false'
+   GROUP BY b.BookmarkID
+   ORDER BY b.VolumeID, ChapterIndex, b.ChapterProgress, b.DateCreated`;
+
+const KOBO_COLUMNS = [
+  "BookmarkID", "VolumeID", "Text", "Annotation", "Type", "DateCreated",
+  "BookTitle", "Attribution", "ISBN", "ChapterTitle",
+];
+
+// Parser helpers shared with parser.js. Inside Zotero both files are loaded
+// into the same scope by bootstrap.js; under Node we require it.
+const KoboParserHelpers =
+  typeof KindleParser !== "undefined" ? KindleParser : require("./parser.js");
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Read and parse a KoboReader.sqlite file. Zotero only.
+ *
+ * @param {string} path - Absolute path to KoboReader.sqlite
+ * @param {object} [options] - As for parseKoboBookmarks()
+ * @returns {Promise<{ books: Map<string, Book>, skipped: number, collapsed: number, errors: string[], diagnostics: Diagnostic[] }>}
+ */
+async function readKoboDatabase(path, options = {}) {
+  const copyPath = PathUtils.join(PathUtils.tempDir, `kindle-importer-kobo-${Date.now()}.sqlite`);
+  await IOUtils.copy(path, copyPath);
+
+  const db = new Zotero.DBConnection(copyPath);
+  try {
+    const rows = await db.queryAsync(KOBO_BOOKMARK_QUERY);
+    const plainRows = rows.map((row) => {
+      const obj = {};
+      for (const col of KOBO_COLUMNS) obj[col] = row[col];
+      return obj;
+    });
+    return parseKoboBookmarks(plainRows, options);
+  } finally {
+    await db.closeDatabase();
+    await IOUtils.remove(copyPath, { ignoreAbsent: true });
+  }
+}
+
+/**
+ * Group Kobo Bookmark rows (as returned by KOBO_BOOKMARK_QUERY) into books.
+ * Kept separate from readKoboDatabase() so it can run outside Zotero.
+ *
+ * @param {Array<object>} rows - Plain objects keyed by KOBO_COLUMNS
+ * @param {object}  [options]
+ * @param {boolean} [options.keepBookmarks=false] - Keep dog-ears as bookmarks
+ * @returns {{ books: Map<string, Book>, skipped: number, collapsed: number, errors: string[], diagnostics: Diagnostic[] }}
+ */
+function parseKoboBookmarks(rows, options = {}) {
+  const books = new Map();
+  const log = KoboParserHelpers._createParseLog();
+
+  for (const row of rows) {
+    try {
+      const text = cleanKoboText(row.Text);
+      const annotation = cleanKoboText(row.Annotation);
+
+      // Dog-ears are Kobo's bookmarks; they and empty rows carry no text
+      const isDogEar = row.Type === "dogear";
+      if (isDogEar && !options.keepBookmarks) {
+        log.skip("bookmark", null, describeKoboRow(row));
+        continue;
+      }
+      if (!isDogEar && !text && !annotation) {
+        log.skip("empty", null, describeKoboRow(row));
+        continue;
+      }
+
+      if (!(row.BookTitle || "").trim()) throw new Error(`No book found for volume ${row.VolumeID}`);
+      const { title, series, volume, asin } = KoboParserHelpers._cleanTitle(row.BookTitle);
+      // Kobo joins several authors with commas: "Andrew Hunt, David Thomas"
+      const creators = KoboParserHelpers._parseCreators(row.Attribution || "");
+      const authors  = creators.map(KoboParserHelpers._creatorName);
+      const bookKey = KoboParserHelpers._makeBookKey(title, authors, volume);
+
+      if (!books.has(bookKey)) {
+        books.set(bookKey, {
+          title,
+          rawTitle: row.BookTitle,
+          authors,
+          creators,
+          series,
+          volume,
+          isbn: row.ISBN || null,
+          asin,
+          highlights: [],
+          notes: [],
+          bookmarks: [],
+        });
+      }
+      const book = books.get(bookKey);
+
+      const base = {
+        page: null,
+        locationStart: null,
+        locationEnd: null,
+        dateAdded: parseKoboDate(row.DateCreated),
+        chapter: row.ChapterTitle || null,
+      };
+
+      if (isDogEar) {
+        book.bookmarks.push({ type: "bookmark", ...base, text: "" });
+        continue;
+      }
+
+      let highlight = null;
+      if (text) {
+        highlight = { type: "highlight", ...base, text };
+        book.highlights.push(highlight);
+      }
+      if (annotation) {
+        book.notes.push({ type: "note", ...base, text: annotation, parentHighlight: highlight });
+      }
+    } catch (err) {
+      log.error(err.message, null, describeKoboRow(row));
+    }
+  }
+
+  const collapsed = KoboParserHelpers._finalizeBooks(books);
+
+  return { books, collapsed, ...log.result() };
+}
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+/** A row as it appears in diagnostics: its book, type, ID and text. */
+function describeKoboRow(row) {
+  const text = [row.Text, row.Annotation].filter(Boolean).join("\n");
+  return `${row.BookTitle || row.VolumeID} — ${row.Type || "annotation"} ${row.BookmarkID || ""}`.trim() +
+    (text ? `\n${text}` : "");
+}
+
+/** Kobo dates are ISO 8601 in UTC, usually without a zone designator. */
+function parseKoboDate(dateStr) {
+  if (!dateStr) return null;
+  const withZone = /(?:Z|[+-]\d{2}:?\d{2})$/.test(dateStr) ? dateStr : `${dateStr}Z`;
+  const parsed = new Date(withZone);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function cleanKoboText(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+var KoboParser = { readKoboDatabase, parseKoboBookmarks };
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KoboParser;
+}
@@ -0,0 +1,450 @@
+/**
+ * koreaderParser.js
+ * Reads KOReader sidecar files (`<book>.sdr/metadata.<ext>.lua`) into the
+ * same structure as parser.js. Accepts a single sidecar file or a whole
+ * folder, which is searched for sidecars at any depth.
+ *
+ * A sidecar is a Lua table literal written by KOReader's serializer:
+ *   return {
+ *     ["annotations"] = {                       -- KOReader 2024.07 and later
+ *       [1] = { ["chapter"] = "…", ["datetime"] = "2024-08-01 10:12:30",
+ *               ["pageno"] = 12, ["pos0"] = "…", ["pos1"] = "…",
+ *               ["text"] = "highlighted text", ["note"] = "my note" },
+ *     },
+ *     ["bookmarks"] = { … },                    -- earlier versions
+ *     ["doc_props"] = { ["title"] = "…", ["authors"] = "First Author\nSecond Author" },
+ *   }
+ *
+ * The title and authors come from `doc_props` (the book's own metadata),
+ * so they are usually cleaner than Kindle's title lines.
+ *
+ * Output shape: identical to parseClippings() — { books, skipped, collapsed, errors, diagnostics }.
+ * KOReader has no Kindle-style locations, so clips carry `page` and `chapter`.
+ */
+
+"use strict";
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+// Sidecar file names: metadata.epub.lua, metadata.pdf.lua, …
+const KOREADER_SIDECAR_REGEX = /^metadata\.[\w-]+\.lua$/i;
+
+// Older KOReader versions fill a bookmark's `text` with this when the user
+// didn't write a note: "Page 12 highlighted text @ 2023-01-05 09:14:32"
+const KOREADER_AUTO_TEXT_REGEX = /^Page\s+\S+\s[\s\S]*@\s*\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2}$/;
+
+// Don't descend forever into a huge folder tree
+const KOREADER_MAX_DEPTH = 6;
+
+// Parser helpers shared with parser.js. Inside Zotero both files are loaded
+// into the same scope by bootstrap.js; under Node we require it.
+const KOReaderParserHelpers =
+  typeof KindleParser !== "undefined" ? KindleParser : require("./parser.js");
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * True if the file content looks like a KOReader sidecar file.
+ *
+ * @param {string} content
+ * @returns {boolean}
+ */
+function isKOReaderMetadata(content) {
+  return /^\s*(?:--[^\n]*\n\s*)*return\s*\{/.test(content) &&
+    /\["(?:annotations|bookmarks|highlight|doc_props)"\]/.test(content);
+}
+
+/**
+ * Parse one or more sidecar files into a single book map.
+ * A file that couldn't be read carries `error` instead of `content` and is
+ * reported as a parse error.
+ *
+ * @param {Array<{ path: string, content?: string, error?: string }>} files
+ * @param {object}  [options]
+ * @param {boolean} [options.keepBookmarks=false] - Keep page bookmarks instead of skipping them
+ * @returns {{ books: Map<string, Book>, skipped: number, collapsed: number, errors: string[], diagnostics: Diagnostic[] }}
+ */
+function parseKOReaderFiles(files, options = {}) {
+  const books = new Map();
+  const log = KOReaderParserHelpers._createParseLog();
+
+  for (const { path, content, error } of files) {
+    if (error) {
+      log.error(error, null, path);
+      continue;
+    }
+    try {
+      const metadata = parseLuaTable(content);
+      const { title, rawTitle, authors, creators, series, volume, asin } = getKOReaderBookInfo(metadata, path);
+      const clips = getKOReaderClips(metadata, options, (reason, page) =>
+        log.skip(reason, null, page != null ? `${path} (page ${page})` : path));
+
+      if (clips.highlights.length + clips.notes.length + clips.bookmarks.length === 0) continue;
+
+      const bookKey = KOReaderParserHelpers._makeBookKey(title, authors, volume);
+      if (!books.has(bookKey)) {
+        books.set(bookKey, {
+          title, rawTitle, authors, creators, series, volume, asin, highlights: [], notes: [], bookmarks: [],
+        });
+      }
+      const book = books.get(bookKey);
+      book.highlights.push(...clips.highlights);
+      book.notes.push(...clips.notes);
+      book.bookmarks.push(...clips.bookmarks);
+    } catch (err) {
+      log.error(err.message, null, path);
+    }
+  }
+
+  const collapsed = KOReaderParserHelpers._finalizeBooks(books);
+
+  return { books, collapsed, ...log.result() };
+}
+
+/**
+ * Parse the content of a single sidecar file.
+ *
+ * @param {string} content
+ * @param {string} [path]    - Used for the title when the sidecar has none
+ * @param {object} [options] - As for parseKOReaderFiles()
+ */
+function parseKOReaderMetadata(content, path, options) {
+  return parseKOReaderFiles([{ path: path || "", content }], options);
+}
+
+/**
+ * Read a sidecar file, or every sidecar under a folder, and parse them.
+ * Zotero only.
+ *
+ * @param {string} path      - A metadata.*.lua file or a folder to search
+ * @param {object} [options] - As for parseKOReaderFiles()
+ * @returns {Promise<{ books: Map<string, Book>, skipped: number, collapsed: number, errors: string[], diagnostics: Diagnostic[] }>}
+ */
+async function readKOReaderPath(path, options) {
+  const info = await IOUtils.stat(path);
+  const files = [];
+  const paths = info.type === "directory"
+    ? await findKOReaderSidecars(path, 0, files)
+    : [path];
+
+  for (const p of paths) {
+    try {
+      files.push({ path: p, content: await IOUtils.readUTF8(p) });
+    } catch (err) {
+      files.push({ path: p, error: `Couldn't read: ${err.message}` });
+    }
+  }
+  return parseKOReaderFiles(files, options);
+}
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+/**
+ * Paths of the sidecars under a folder. A child that can't be read (no
+ * permission, removed mid-scan) is added to `failures` as { path, error }
+ * and the search carries on with its siblings.
+ */
+async function findKOReaderSidecars(dir, depth, failures) {
+  if (depth > KOREADER_MAX_DEPTH) return [];
+
+  const found = [];
+  for (const child of await IOUtils.getChildren(dir)) {
+    try {
+      const info = await IOUtils.stat(child);
+      if (info.type === "directory") {
+        found.push(...await findKOReaderSidecars(child, depth + 1, failures));
+      } else if (KOREADER_SIDECAR_REGEX.test(PathUtils.filename(child))) {
+        found.push(child);
+      }
+    } catch (err) {
+      failures.push({ path: child, error: `Couldn't read: ${err.message}` });
+    }
+  }
+  return found;
+}
+
+/**
+ * Title and authors from doc_props, falling back to the reading statistics
+ * and finally to the book's file name.
+ */
+function getKOReaderBookInfo(metadata, path) {
+  const props = metadata.doc_props || {};
+  const stats = metadata.stats || {};
+
+  let rawTitle = props.title || stats.title || "";
+  if (!rawTitle) {
+    // ".../Deep Work.sdr/metadata.epub.lua" or doc_path ".../Deep Work.epub"
+    const source = metadata.doc_path || path.replace(/[\\/][^\\/]*$/, "");
+    rawTitle = source.split(/[\\/]/).pop().replace(/\.sdr$/i, "").replace(/\.\w+$/, "");
+  }
+  if (!rawTitle) throw new Error("Sidecar has no title");
+
+  // One author per line
+  const authorStr = String(props.authors || stats.authors || "");
+  const creators = KOReaderParserHelpers._parseCreators(authorStr.split(/\n+/).join(";"));
+  const authors  = creators.map(KOReaderParserHelpers._creatorName);
+
+  return { ...KOReaderParserHelpers._cleanTitle(rawTitle), rawTitle, authors, creators };
+}
+
+/**
+ * Extract highlights and notes, from `annotations` on current KOReader
+ * versions or `bookmarks`/`highlight` on older ones.
+ *
+ * @param {object}   metadata
+ * @param {object}   options - As for parseKOReaderFiles()
+ * @param {function} skip    - Called as skip(reason, page) for each clip left out
+ * @returns {{ highlights: Highlight[], notes: Note[], bookmarks: Bookmark[] }}
+ */
+function getKOReaderClips(metadata, options, skip) {
+  const highlights = [];
+  const notes = [];
+  const bookmarks = [];
+
+  const addBookmark = ({ page, chapter, datetime }) => {
+    if (!options.keepBookmarks) { skip("bookmark", page); return; }
+    bookmarks.push({
+      type: "bookmark",
+      page: typeof page === "number" ? page : null,
+      locationStart: null,
+      locationEnd: null,
+      dateAdded: parseKOReaderDate(datetime),
+      chapter: chapter || null,
+      text: "",
+    });
+  };
+
+  const add = ({ text, note, page, chapter, datetime }) => {
+    text = cleanKOReaderText(text);
+    note = cleanKOReaderText(note);
+    if (!text && !note) { skip("empty", page); return; }
+
+    const base = {
+      page: typeof page === "number" ? page : null,
+      locationStart: null,
+      locationEnd: null,
+      dateAdded: parseKOReaderDate(datetime),
+      chapter: chapter || null,
+    };
+    let highlight = null;
+    if (text) {
+      highlight = { type: "highlight", ...base, text };
+      highlights.push(highlight);
+    }
+    if (note) notes.push({ type: "note", ...base, text: note, parentHighlight: highlight });
+  };
+
+  if (metadata.annotations) {
+    for (const a of luaArray(metadata.annotations)) {
+      // Page bookmarks are annotations without a highlighted range
+      if (!a.pos0 && !a.drawer) {
+        addBookmark({ page: a.pageno ?? a.page, chapter: a.chapter, datetime: a.datetime });
+        continue;
+      }
+      add({ text: a.text, note: a.note, page: a.pageno ?? a.page, chapter: a.chapter, datetime: a.datetime });
+    }
+  } else if (metadata.bookmarks) {
+    // Here `notes` holds the highlighted text and `text` the user's note
+    for (const b of luaArray(metadata.bookmarks)) {
+      if (!b.highlighted) {
+        addBookmark({ page: b.page, chapter: b.chapter, datetime: b.datetime });
+        continue;
+      }
+      const userNote = KOREADER_AUTO_TEXT_REGEX.test(String(b.text || "").trim()) ? "" : b.text;
+      add({ text: b.notes, note: userNote, page: b.page, chapter: b.chapter, datetime: b.datetime });
+    }
+  } else if (metadata.highlight) {
+    // Oldest format: { [page] = { [1] = { text, chapter, datetime } } }
+    for (const [page, list] of Object.entries(metadata.highlight)) {
+      for (const h of luaArray(list)) {
+        add({ text: h.text, page: parseInt(page, 10), chapter: h.chapter, datetime: h.datetime });
+      }
+    }
+  }
+
+  return { highlights, notes, bookmarks };
+}
+
+/** KOReader writes local times as "2024-08-01 10:12:30". */
+function parseKOReaderDate(datetime) {
+  if (!datetime) return null;
+  const parsed = new Date(String(datetime).replace(" ", "T"));
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function cleanKOReaderText(text) {
+  return typeof text === "string" ? text.replace(/\s+/g, " ").trim() : "";
+}
+
+/** Values of a Lua array-like table, in index order. */
+function luaArray(table) {
+  if (!table || typeof table !== "object") return [];
+  return Object.keys(table)
+    .filter((k) => /^\d+$/.test(k))
+    .sort((a, b) => a - b)
+    .map((k) => table[k]);
+}
+
+// ─── Lua Table Reader ────────────────────────────────────────────────────────
+
+/**
+ * Parse a `return { … }` Lua table literal, as written by KOReader.
+ * Supports strings (quoted and long-bracket), numbers, booleans, nil and
+ * nested tables. Tables become plain objects; positional entries get
+ * numeric keys starting at 1, as in Lua.
+ *
+ * @param {string} source
+ * @returns {object}
+ */
+function parseLuaTable(source) {
+  let pos = 0;
+
+  const fail = (msg) => { throw new Error(`Lua syntax error at offset ${pos}: ${msg}`); };
+
+  const skipSpace = () => {
+    for (;;) {
+      const ws = /^\s+/.exec(source.slice(pos, pos + 256));
+      if (ws) { pos += ws[0].length; continue; }
+      if (source.startsWith("--", pos)) {
+        const long = /^--\[(=*)\[/.exec(source.slice(pos, pos + 64));
+        if (long) {
+          const close = source.indexOf(`]${long[1]}]`, pos);
+          pos = close === -1 ? source.length : close + long[1].length + 2;
+        } else {
+          const nl = source.indexOf("\n", pos);
+          pos = nl === -1 ? source.length : nl + 1;
+        }
+        continue;
+      }
+      return;
+    }
+  };
+
+  const parseLongString = () => {
+    const open = /^\[(=*)\[/.exec(source.slice(pos, pos + 64));
+    if (!open) fail("expected long string");
+    const close = `]${open[1]}]`;
+    const end = source.indexOf(close, pos + open[0].length);
+    if (end === -1) fail("unterminated long string");
+    let str = source.slice(pos + open[0].length, end);
+    if (str.startsWith("\n")) str = str.slice(1); // Lua drops a leading newline
+    pos = end + close.length;
+    return str;
+  };
+
+  const parseQuotedString = () => {
+    const quote = source[pos++];
+    let out = "";
+    for (;;) {
+      if (pos >= source.length) fail("unterminated string");
+      const ch = source[pos++];
+      if (ch === quote) return out;
+      if (ch !== "\\") { out += ch; continue; }
+
+      const esc = source[pos++];
+      const simple = { n: "\n", t: "\t", r: "\r", a: "\x07", b: "\b", f: "\f", v: "\v",
+                       "\\": "\\", '"': '"', "'": "'", "\n": "\n" };
+      if (esc in simple) { out += simple[esc]; continue; }
+      if (esc === "x") { out += String.fromCharCode(parseInt(source.substr(pos, 2), 16)); pos += 2; continue; }
+      if (esc === "z") { pos = source.slice(pos).search(/\S/) + pos; continue; }
+      if (esc === "u") {
+        const m = /^\{([\da-fA-F]+)\}/.exec(source.slice(pos, pos + 12));
+        if (!m) fail("bad \\u escape");
+        const n = parseInt(m[1], 16);
+        out += n > 0x10FFFF ? `\\u${m[0]}` : String.fromCodePoint(n);
+        pos += m[0].length;
+        continue;
+      }
+      if (/\d/.test(esc)) {
+        const m = /^\d{1,3}/.exec(source.slice(pos - 1, pos + 2));
+        out += String.fromCharCode(parseInt(m[0], 10));
+        pos += m[0].length - 1;
+        continue;
+      }
+      fail(`bad escape \\${esc}`);
+    }
+  };
+
+  const parseValue = () => {
+    skipSpace();
+    const ch = source[pos];
+    if (ch === "{") return parseTable();
+    if (ch === '"' || ch === "'") return parseQuotedString();
+    if (ch === "[") return parseLongString();
+
+    const word = /^[A-Za-z_]\w*/.exec(source.slice(pos, pos + 16));
+    if (word) {
+      pos += word[0].length;
+      if (word[0] === "true") return true;
+      if (word[0] === "false") return false;
+      if (word[0] === "nil") return null;
+      fail(`unexpected identifier ${word[0]}`);
+    }
+
+    const num = /^-?(?:0[xX][\da-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.exec(source.slice(pos, pos + 64));
+    if (num) {
+      pos += num[0].length;
+      return Number(num[0]);
+    }
+    fail(`unexpected character ${JSON.stringify(ch)}`);
+  };
+
+  const parseTable = () => {
+    pos++; // "{"
+    const table = {};
+    let nextIndex = 1;
+
+    for (;;) {
+      skipSpace();
+      if (source[pos] === "}") { pos++; return table; }
+
+      let key;
+      if (source[pos] === "[" && !/^\[=*\[/.test(source.slice(pos, pos + 64))) {
+        pos++;
+        key = parseValue();
+        skipSpace();
+        if (source[pos] !== "]") fail("expected ]");
+        pos++;
+        skipSpace();
+        if (source[pos] !== "=") fail("expected =");
+        pos++;
+      } else {
+        const name = /^([A-Za-z_]\w*)\s*=(?!=)/.exec(source.slice(pos, pos + 256));
+        if (name) {
+          key = name[1];
+          pos += name[0].length;
+        }
+      }
+
+      const value = parseValue();
+      if (key === undefined) key = nextIndex++;
+      if (value !== null) table[key] = value;
+
+      skipSpace();
+      if (source[pos] === "," || source[pos] === ";") { pos++; continue; }
+      if (source[pos] === "}") { pos++; return table; }
+      fail("expected , or }");
+    }
+  };
+
+  skipSpace();
+  if (source.startsWith("return", pos)) pos += "return".length;
+  const result = parseValue();
+  if (!result || typeof result !== "object") fail("expected a table");
+  return result;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+var KOReaderParser = {
+  isKOReaderMetadata,
+  parseKOReaderMetadata,
+  parseKOReaderFiles,
+  readKOReaderPath,
+  // Exported for testing
+  _parseLuaTable: parseLuaTable,
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KOReaderParser;
+}
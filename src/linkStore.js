@@ -0,0 +1,208 @@
+/**
+ * linkStore.js
+ * Remembers what the user decided for each book, so the same books don't
+ * come back for review on every import.
+ *
+ * One decision per book per library, keyed by the book's parser key
+ * (title::authors[::volume], as in parser.js):
+ *   link   — the book belongs to Zotero item `itemKey`
+ *   new    — the user had it added as a new book (`itemKey` once created)
+ *   ignore — never import this book
+ *
+ * Decisions are consulted before any matching (see applyLinks()), so they
+ * survive deleting the Kindle note or the item itself. They are saved to
+ * links.json in the plugin's storage folder (see storage.js).
+ *
+ * Link shape:
+ * {
+ *   libraryID: number,
+ *   bookKey:   string,
+ *   decision:  "link"|"new"|"ignore",
+ *   itemKey:   string|null,   // Zotero item key (stable across syncs, unlike the item ID)
+ *   title:     string,        // shown when managing links
+ *   authors:   string[],
+ *   updated:   string,        // ISO date of the decision
+ * }
+ */
+
+"use strict";
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const LINK_STORE_FILE = "links.json";
+
+const LINK_DECISIONS = ["link", "new", "ignore"];
+
+// Parser and storage helpers. Inside Zotero all files are loaded into the
+// same scope by bootstrap.js; under Node we require them.
+const LinkStoreParser =
+  typeof KindleParser !== "undefined" ? KindleParser : require("./parser.js");
+const LinkStoreStorage =
+  typeof KindleStorage !== "undefined" ? KindleStorage : require("./storage.js");
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Load the saved link store. Zotero only.
+ *
+ * @returns {Promise<LinkStore>}
+ */
+async function loadLinkStore() {
+  const data = await LinkStoreStorage.readStoredJSON(LINK_STORE_FILE, null);
+  return createLinkStore(data, (json) => LinkStoreStorage.writeStoredJSON(LINK_STORE_FILE, json));
+}
+
+/**
+ * Wrap saved link data (or nothing, for an empty store).
+ *
+ * @param {object|null} data    - As written by toJSON()
+ * @param {function}    [write] - Persists toJSON() output; save() is a no-op without it
+ * @returns {LinkStore}
+ */
+function createLinkStore(data, write) {
+  const links = new Map();
+  for (const link of (data && data.links) || []) {
+    if (LINK_DECISIONS.includes(link.decision)) links.set(linkID(link.libraryID, link.bookKey), link);
+  }
+
+  return {
+    /** The decision for a book in a library, or null */
+    get(libraryID, bookKey) {
+      return links.get(linkID(libraryID, bookKey)) || null;
+    },
+
+    /**
+     * Record a decision, replacing any earlier one. Linking a book to the
+     * item it was added as keeps the "new" decision, so the book is added
+     * again (rather than re-matched) if that item is deleted.
+     *
+     * @param {number} libraryID
+     * @param {string} bookKey  - See getBookKey()
+     * @param {string} decision - "link", "new" or "ignore"
+     * @param {object} [details] - { itemKey, title, authors }; title and authors default to the earlier decision's
+     */
+    set(libraryID, bookKey, decision, details = {}) {
+      if (!LINK_DECISIONS.includes(decision)) throw new Error(`Unknown link decision "${decision}"`);
+      const previous = links.get(linkID(libraryID, bookKey));
+      const itemKey = decision === "ignore" ? null : details.itemKey || null;
+      if (decision === "link" && previous && previous.decision === "new" && previous.itemKey === itemKey) {
+        decision = "new";
+      }
+      links.set(linkID(libraryID, bookKey), {
+        libraryID,
+        bookKey,
+        decision,
+        itemKey,
+        title: details.title || (previous && previous.title) || bookKey,
+        authors: details.authors || (previous && previous.authors) || [],
+        updated: new Date().toISOString(),
+      });
+    },
+
+    remove(libraryID, bookKey) {
+      links.delete(linkID(libraryID, bookKey));
+    },
+
+    /** Every decision for a library, by title */
+    list(libraryID) {
+      return [...links.values()]
+        .filter((link) => link.libraryID === libraryID)
+        .sort((a, b) => a.title.localeCompare(b.title));
+    },
+
+    toJSON() {
+      return { version: 1, links: [...links.values()] };
+    },
+
+    async save() {
+      if (write) await write(this.toJSON());
+    },
+  };
+}
+
+/**
+ * Apply saved decisions to parsed books before matching.
+ *
+ * A linked book, or one added as new whose item still exists, is matched to
+ * that item. A book added as new whose item is gone is added as new again,
+ * without review. Ignored books are set aside.
+ *
+ * @param {Map<string, Book>} parsedBooks
+ * @param {LinkStore}         store
+ * @param {number}            libraryID
+ * @param {function}          getItem - (itemKey) => Zotero item, or null if it no longer exists
+ * @returns {{ matched: Array, unmatched: Array, ignored: Array, remaining: Map<string, Book> }}
+ *          Entries are shaped as in matcher.js's MatchResult, with an explanation
+ *          that names the saved decision
+ */
+function applyLinks(parsedBooks, store, libraryID, getItem) {
+  const matched   = [];
+  const unmatched = [];
+  const ignored   = [];
+  const remaining = new Map();
+
+  for (const [bookKey, parsedBook] of parsedBooks) {
+    const link = store.get(libraryID, bookKey);
+    const item = link && link.itemKey ? getItem(link.itemKey) : null;
+
+    if (!link) {
+      remaining.set(bookKey, parsedBook);
+    } else if (link.decision === "ignore") {
+      ignored.push({ parsedBook, explanation: { decision: "Ignored: you chose to ignore this book" } });
+    } else if (item) {
+      matched.push({
+        parsedBook,
+        zoteroItem: item,
+        titleScore: 1.0,
+        authorScore: 1.0,
+        matchedBy: "link",
+        explanation: {
+          decision: link.decision === "new"
+            ? "Matched: the item this book was added as in an earlier import"
+            : "Matched: you linked this book to this item in an earlier import",
+        },
+      });
+    } else if (link.decision === "new") {
+      unmatched.push({
+        parsedBook,
+        explanation: { decision: "New: you added this book as new before, and that item is gone" },
+      });
+    } else {
+      // The linked item was deleted — match the book afresh
+      remaining.set(bookKey, parsedBook);
+    }
+  }
+
+  return { matched, unmatched, ignored, remaining };
+}
+
+/**
+ * The key a parsed book is stored under — the same key parsers use for
+ * their books Map.
+ *
+ * @param {Book} parsedBook
+ * @returns {string}
+ */
+function getBookKey(parsedBook) {
+  return LinkStoreParser._makeBookKey(parsedBook.title, parsedBook.authors, parsedBook.volume);
+}
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+function linkID(libraryID, bookKey) {
+  return `${libraryID}/${bookKey}`;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+var KindleLinkStore = {
+  loadLinkStore,
+  createLinkStore,
+  applyLinks,
+  getBookKey,
+  LINK_DECISIONS,
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KindleLinkStore;
+}
@@ -0,0 +1,157 @@
+/**
+ * lookupCache.js
+ * Remembers book metadata lookups, so re-running the wizard doesn't ask
+ * Google Books and Open Library about the same books again.
+ *
+ * Entries are keyed by the book's normalised title and first author — the
+ * only parts of a book the searches use. Books that were found are kept
+ * for FOUND_TTL_DAYS; books no source knew are kept for NOT_FOUND_TTL_DAYS,
+ * so they are retried now and then. Expired entries are dropped on load.
+ * The cache is saved to lookups.json in the plugin's storage folder (see
+ * storage.js).
+ *
+ * Entry shape:
+ * {
+ *   key:      string,             // see getLookupKey()
+ *   metadata: BookMetadata|null,  // null when no source found the book
+ *   stored:   string,             // ISO date of the lookup
+ *   expires:  string,             // ISO date after which it is looked up again
+ * }
+ */
+
+"use strict";
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const LOOKUP_CACHE_FILE = "lookups.json";
+
+const FOUND_TTL_DAYS     = 90;
+const NOT_FOUND_TTL_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tokenizer and storage helpers. Inside Zotero all files are loaded into the
+// same scope by bootstrap.js; under Node we require them.
+const LookupCacheTokenizer =
+  typeof KindleTokenizer !== "undefined" ? KindleTokenizer : require("./tokenizer.js");
+const LookupCacheStorage =
+  typeof KindleStorage !== "undefined" ? KindleStorage : require("./storage.js");
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Load the saved lookup cache. Zotero only.
+ *
+ * @returns {Promise<LookupCache>}
+ */
+async function loadLookupCache() {
+  const data = await LookupCacheStorage.readStoredJSON(LOOKUP_CACHE_FILE, null);
+  return createLookupCache(data, (json) => LookupCacheStorage.writeStoredJSON(LOOKUP_CACHE_FILE, json));
+}
+
+/**
+ * Wrap saved cache data (or nothing, for an empty cache).
+ *
+ * @param {object|null} data    - As written by toJSON()
+ * @param {function}    [write] - Persists toJSON() output; save() is a no-op without it
+ * @param {function}    [now]   - Returns the current time in ms; for testing
+ * @returns {LookupCache}
+ */
+function createLookupCache(data, write, now = Date.now) {
+  const entries = new Map();
+  for (const entry of (data && data.entries) || []) {
+    if (Date.parse(entry.expires) > now()) entries.set(entry.key, entry);
+  }
+
+  // Lookups run several at a time and each saves the cache. Writes go one at
+  // a time, since overlapping writes race on the same temporary file; saves
+  // asked for during a write share the one write that follows it.
+  let writing = Promise.resolve();
+  let nextWrite = null;
+
+  return {
+    /**
+     * The cached lookup for a book: { metadata } (metadata null when the
+     * book wasn't found), or null when it hasn't been looked up or the
+     * entry has expired.
+     */
+    get(parsedBook) {
+      const entry = entries.get(getLookupKey(parsedBook));
+      if (!entry || Date.parse(entry.expires) <= now()) return null;
+      return { metadata: entry.metadata };
+    },
+
+    /**
+     * Record a lookup result.
+     *
+     * @param {Book}              parsedBook
+     * @param {BookMetadata|null} metadata - null when no source found the book
+     */
+    set(parsedBook, metadata) {
+      const key = getLookupKey(parsedBook);
+      const ttl = (metadata ? FOUND_TTL_DAYS : NOT_FOUND_TTL_DAYS) * DAY_MS;
+      entries.set(key, {
+        key,
+        metadata,
+        stored: new Date(now()).toISOString(),
+        expires: new Date(now() + ttl).toISOString(),
+      });
+    },
+
+    /** Forget every lookup */
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    toJSON() {
+      return { version: 1, entries: [...entries.values()] };
+    },
+
+    save() {
+      if (!write) return Promise.resolve();
+      if (!nextWrite) {
+        nextWrite = writing.catch(() => {}).then(() => {
+          writing = nextWrite;
+          nextWrite = null;
+          return write(this.toJSON());
+        });
+      }
+      return nextWrite;
+    },
+  };
+}
+
+/**
+ * The key a book's lookup is cached under: its title and first author,
+ * folded and with punctuation reduced to single spaces.
+ *
+ * @param {Book} parsedBook
+ * @returns {string}
+ */
+function getLookupKey(parsedBook) {
+  return `${normalizeKeyPart(parsedBook.title)}::${normalizeKeyPart(parsedBook.authors[0] || "")}`;
+}
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+function normalizeKeyPart(str) {
+  return LookupCacheTokenizer.foldText(str)
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+var KindleLookupCache = {
+  loadLookupCache,
+  createLookupCache,
+  getLookupKey,
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KindleLookupCache;
+}
@@ -11,6 +11,38 @@
  *
  * Designed to run inside Zotero (uses Zotero global) but accepts an optional
  * zoteroLib injection for testing outside Zotero.
+ *
+ * Books whose source gives an ISBN or ASIN are first looked up by identifier
+ * (the Zotero ISBN field, and ISBN/ASIN lines in Extra); titles are only
+ * compared for the rest.
+ *
+ * Each item is compared under every title it carries — Title, Short Title,
+ * an "original-title:" line in Extra, and Series — and scored by the best
+ * of them, so a translated or expanded Title doesn't hide the form Kindle
+ * uses.
+ *
+ * Authors are compared name by name (see authorSimilarity()): surnames must
+ * agree, and initials are compatible with full given names.
+ *
+ * Volume, part and edition numbers are read from both sides; when both
+ * sides name one and they differ, the match can't be confident, however
+ * similar the titles ("The Expanse Book 2" is not "The Expanse Book 3").
+ *
+ * Every match, candidate and unmatched book carries an explanation of how
+ * it was scored and which threshold put it in its bucket (see
+ * formatMatchExplanation()), shown when a row is expanded in the UI.
+ *
+ * findDuplicateBooks() runs the same comparisons between the parsed books
+ * themselves, to find one book parsed under several titles or author
+ * spellings (a sample and the bought copy, a re-downloaded edition).
+ *
+ * Library items are kept in an inverted index from title words to items, so
+ * each book is only scored against items that share enough of its words.
+ * Only whole words (and CJK character pairs) are indexed: the bigrams that
+ * tokenize() adds to every word ("th", "er") occur in most titles and would
+ * make every item a candidate. Full token sets are kept for scoring.
+ * Inside Zotero the index is built once per session per library and kept
+ * current through a Zotero.Notifier observer (see libraryObserver).
  */
 
 "use strict";
@@ -23,9 +55,60 @@ const CONFIDENT_TITLE_THRESHOLD = 0.85;
 // Title similarity score above which a match is considered a candidate at all.
 const CANDIDATE_TITLE_THRESHOLD = 0.60;
 
+// Share of the shorter title's words an item must have in common with a book
+// to be scored at all. Lower than CANDIDATE_TITLE_THRESHOLD, so a misspelt
+// word (which still shares bigrams) doesn't keep the right item out.
+const CANDIDATE_WORD_SHARE = 0.5;
+
+// Highest title score an item's Series field can give. A series name is
+// part of many titles ("Harry Potter" of every Harry Potter book), so it is
+// scored by Dice alone and never makes a confident match on its own.
+const SERIES_TITLE_MAX_SCORE = 0.80;
+
+// Surname particles, folded to lowercase without punctuation. They are
+// ignored when comparing surnames, so "Ludwig van Beethoven" (with "van" in
+// either name field) matches "Beethoven, Ludwig van".
+const MATCHER_NAME_PARTICLES = new Set([
+  "van", "von", "der", "den", "de", "del", "della", "di", "da", "du", "des",
+  "la", "le", "st", "ten", "ter", "bin", "ibn", "al",
+]);
+
+// Volume, part and edition markers in titles:
+//   "The Expanse Book 2: Caliban's War", "Vol. III", "Part One", "2nd Edition"
+const VOLUME_MARKER_REGEX =
+  /(?:\b(?:book|vol(?:ume)?\.?|tome|band|no\.)|#)\s*(\d+|[ivxlc]+\b|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\b/i;
+const PART_MARKER_REGEX =
+  /\bpart\s+(\d+|[ivxlc]+\b|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\b/i;
+const EDITION_MARKER_REGEX =
+  /\b(\d+)(?:st|nd|rd|th)\s+(?:ed\b|edition)|\b(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth)\s+(?:ed\b|edition)/i;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12,
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8,
+  ninth: 9, tenth: 10,
+};
+
+// Item fields a title can be matched against, as named in explanations.
+// "originalTitle" is an "original-title:" line in Extra.
+const TITLE_FIELD_LABELS = {
+  title:         "Title",
+  shortTitle:    "Short Title",
+  originalTitle: "Original Title",
+  series:        "Series",
+};
+
+// Generational suffixes, ignored when comparing names
+const MATCHER_NAME_SUFFIXES = new Set(["jr", "sr", "ii", "iii", "iv"]);
+
 // When a title is confident AND author score clears this, it's a sure match.
 const AUTHOR_BOOST_THRESHOLD = 0.50;
 
+// Unicode-aware tokenizer shared with bookLookup.js. Inside Zotero both files
+// are loaded into the same scope by bootstrap.js; under Node we require it.
+const MatcherTokenizer =
+  typeof KindleTokenizer !== "undefined" ? KindleTokenizer : require("./tokenizer.js");
+
 // ─── Public API ───────────────────────────────────────────────────────────────
 
 /**
@@ -33,52 +116,116 @@ const AUTHOR_BOOST_THRESHOLD = 0.50;
  *
  * @param {Map<string, Book>} parsedBooks  - Output from parseClippings()
  * @param {object} [zoteroLib]             - Optional: injected Zotero API for testing
+ * @param {object} [options]
+ * @param {LibraryIndex} [options.index]   - Prebuilt index, e.g. from getLibraryIndex();
+ *                                           built from zoteroLib when omitted
+ * @param {number} [options.libraryID]     - Library to match against when neither
+ *                                           index nor zoteroLib is given; defaults to the user's
  * @returns {MatchResult}
  *
  * MatchResult shape:
  * {
- *   matched:   Array<{ parsedBook, zoteroItem, titleScore, authorScore }>,
- *   ambiguous: Array<{ parsedBook, candidates: Array<{ zoteroItem, titleScore, authorScore }> }>,
- *   unmatched: Array<{ parsedBook }>
+ *   matched:   Array<{ parsedBook, zoteroItem, titleScore, authorScore, matchedBy, volumeConflict, explanation }>,
+ *   ambiguous: Array<{ parsedBook, candidates: Array<{ zoteroItem, titleScore, authorScore, matchedBy, volumeConflict, explanation }> }>,
+ *   unmatched: Array<{ parsedBook, explanation }>
+ * }
+ *
+ * matchedBy is "identifier" when an ISBN or ASIN matched, "title" otherwise.
+ * volumeConflict is "volume", "part" or "edition" when both sides give that
+ * number and they differ, else null.
+ *
+ * MatchExplanation shape (every part but decision is absent for unmatched books):
+ * {
+ *   decision:    string,   // the bucket and the thresholds that decided it
+ *   title:       { score, dice, containment, method: "dice"|"containment", shared, kindleOnly, zoteroOnly,
+ *                  field, text },   // the item title that scored best, e.g. field "shortTitle"
+ *   authors:     { score, dice, containment, method, pairs: [{ kindle, zotero, score }], kindleOnly, zoteroOnly } | null,
+ *   volume:      { kindle, zotero, conflict },   // each side: { volume, part, edition }
+ *   identifiers: string[], // shared identifier keys, e.g. "isbn:9780132350884"
  * }
  */
-function matchBooksToZotero(parsedBooks, zoteroLib) {
-  const zoteroItems = getZoteroBookItems(zoteroLib);
-
-  // Pre-compute normalized fingerprints for every Zotero item once,
-  // so we're not re-normalizing on every comparison.
-  const zoteroFingerprints = zoteroItems.map((item) => ({
-    item,
-    titleTokens: tokenize(getZoteroTitle(item)),
-    authorTokens: tokenize(getZoteroAuthors(item).join(" ")),
-  }));
+function matchBooksToZotero(parsedBooks, zoteroLib, options = {}) {
+  const libraryIndex = options.index ||
+    buildLibraryIndex(getZoteroBookItems(zoteroLib, options.libraryID));
 
   const matched = [];
   const ambiguous = [];
   const unmatched = [];
 
   for (const [, parsedBook] of parsedBooks) {
-    const kindleTitleTokens = tokenize(parsedBook.title);
-    const kindleAuthorTokens = tokenize(parsedBook.authors.join(" "));
-
-    // Score every Zotero item against this Kindle book
-    const scored = zoteroFingerprints
-      .map(({ item, titleTokens, authorTokens }) => {
-        const titleScore = titleSimilarity(kindleTitleTokens, titleTokens);
-        const authorScore = kindleAuthorTokens.size === 0
-          ? 0 // can't score authors if Kindle has none
-          : diceCoefficient(kindleAuthorTokens, authorTokens);
-        return { zoteroItem: item, titleScore, authorScore };
-      })
-      .filter((s) => s.titleScore >= CANDIDATE_TITLE_THRESHOLD)
-      .sort((a, b) => {
-        // Primary sort: title score. Secondary: author score as tiebreaker.
-        const titleDiff = b.titleScore - a.titleScore;
-        return titleDiff !== 0 ? titleDiff : b.authorScore - a.authorScore;
-      });
+    const kindleTitleTokens = MatcherTokenizer.tokenize(parsedBook.title);
+    const kindleTitleWords = MatcherTokenizer.tokenize(parsedBook.title, { wordsOnly: true });
+    const kindleAuthorNames = toAuthorNames(getBookCreators(parsedBook));
+    const kindleVolume = getBookVolumeInfo(parsedBook);
+    const kindleIdentifiers = getBookIdentifiers(parsedBook);
+    const hasKindleAuthors = kindleAuthorNames.length > 0;
+
+    const score = (entry, matchedBy) => {
+      const title = compareTitleVariants(kindleTitleTokens, entry.titles);
+      const authors = hasKindleAuthors
+        ? compareAuthors(kindleAuthorNames, entry.authorNames)
+        : null; // can't score authors if Kindle has none
+      const volumeConflict = findVolumeConflict(kindleVolume, entry.volumeInfo);
+
+      return {
+        zoteroItem: entry.item,
+        titleScore: title.score,
+        authorScore: authors ? authors.score : 0,
+        matchedBy,
+        volumeConflict,
+        explanation: {
+          decision: "",
+          title,
+          authors,
+          volume: { kindle: kindleVolume, zotero: entry.volumeInfo, conflict: volumeConflict },
+          identifiers: matchedBy === "identifier"
+            ? [...kindleIdentifiers].filter((key) => entry.identifiers.has(key))
+            : [],
+        },
+      };
+    };
+
+    // ── Identifier pass: an ISBN or ASIN match beats any title comparison ────
+    const identified = findIdentifierMatches(libraryIndex, parsedBook)
+      .map((entry) => score(entry, "identifier"))
+      .sort(compareScores);
+
+    if (identified.length === 1) {
+      const only = identified[0];
+      only.explanation.decision =
+        `Matched: the only library item with ${formatIdentifiers(only.explanation.identifiers)}`;
+      matched.push({ parsedBook, ...only });
+      continue;
+    }
+    if (identified.length > 1) {
+      // Several items carry the same identifier (duplicates in the library)
+      for (const candidate of identified) {
+        candidate.explanation.decision =
+          `Needs review: ${identified.length} library items share ` +
+          formatIdentifiers(candidate.explanation.identifiers);
+      }
+      ambiguous.push({ parsedBook, candidates: identified.slice(0, 5) });
+      continue;
+    }
+
+    // ── Fuzzy pass: score only items sharing enough title words ─────────────
+    const compared = findCandidates(libraryIndex, kindleTitleWords)
+      .map((entry) => score(entry, "title"))
+      .sort(compareScores);
+    const scored = compared.filter((s) => s.titleScore >= CANDIDATE_TITLE_THRESHOLD);
 
     if (scored.length === 0) {
-      unmatched.push({ parsedBook });
+      const closest = compared[0];
+      unmatched.push({
+        parsedBook,
+        explanation: {
+          decision: closest
+            ? `New: the closest library item, "${getZoteroTitle(closest.zoteroItem)}", scored ` +
+              `${formatPercent(closest.titleScore)} on title, below the ` +
+              `${formatPercent(CANDIDATE_TITLE_THRESHOLD)} needed to be a candidate`
+            : "New: no library item shares enough title words to be a candidate",
+        },
+      });
       continue;
     }
 
@@ -86,29 +233,156 @@ function matchBooksToZotero(parsedBooks, zoteroLib) {
 
     // Confident match: high title score, and either we have no author data
     // to compare OR the author also matches reasonably well.
-    const authorOk =
-      kindleAuthorTokens.size === 0 || best.authorScore >= AUTHOR_BOOST_THRESHOLD;
+    const authorOk = !hasKindleAuthors || best.authorScore >= AUTHOR_BOOST_THRESHOLD;
 
-    if (best.titleScore >= CONFIDENT_TITLE_THRESHOLD && authorOk) {
+    // A different volume, part or edition is never a confident match
+    if (best.titleScore >= CONFIDENT_TITLE_THRESHOLD && authorOk && !best.volumeConflict) {
       matched.push({
         parsedBook,
         zoteroItem: best.zoteroItem,
         titleScore: best.titleScore,
         authorScore: best.authorScore,
+        matchedBy: best.matchedBy,
+        volumeConflict: null,
+        explanation: {
+          ...best.explanation,
+          decision: `Matched: ${describeThresholds(best, hasKindleAuthors)}`,
+        },
       });
-    } else if (scored.length === 1) {
-      // Only one candidate but not confident enough — flag as ambiguous
-      // so the user can confirm.
-      ambiguous.push({ parsedBook, candidates: scored });
-    } else {
-      // Multiple candidates, none dominant enough — let user pick.
-      ambiguous.push({ parsedBook, candidates: scored.slice(0, 5) });
+      continue;
     }
+
+    // Only one candidate but not confident enough, or several candidates
+    // with none dominant enough — let the user pick.
+    const candidates = scored.slice(0, 5);
+    candidates.forEach((candidate, rank) => {
+      candidate.explanation.decision =
+        `Needs review: ${describeThresholds(candidate, hasKindleAuthors)}` +
+        (rank > 0 ? "; ranked below the first candidate" : "");
+    });
+    ambiguous.push({ parsedBook, candidates });
   }
 
   return { matched, ambiguous, unmatched };
 }
 
+/**
+ * Sort candidates without a volume conflict first, then by title score,
+ * with author score as the tiebreaker.
+ */
+function compareScores(a, b) {
+  if (!a.volumeConflict !== !b.volumeConflict) return a.volumeConflict ? 1 : -1;
+  const titleDiff = b.titleScore - a.titleScore;
+  return titleDiff !== 0 ? titleDiff : b.authorScore - a.authorScore;
+}
+
+/**
+ * How a title-matched candidate measured against the thresholds for a
+ * confident match, e.g. "title 92% ≥ 85%; authors 40% < 50% needed".
+ */
+function describeThresholds(candidate, hasKindleAuthors) {
+  const reasons = [];
+  const confident = formatPercent(CONFIDENT_TITLE_THRESHOLD);
+  const authorsNeeded = formatPercent(AUTHOR_BOOST_THRESHOLD);
+
+  reasons.push(candidate.titleScore >= CONFIDENT_TITLE_THRESHOLD
+    ? `title ${formatPercent(candidate.titleScore)} ≥ ${confident}`
+    : `title ${formatPercent(candidate.titleScore)} < ${confident} needed for a confident match`);
+
+  if (!hasKindleAuthors) {
+    reasons.push("no authors on the book to check");
+  } else {
+    reasons.push(candidate.authorScore >= AUTHOR_BOOST_THRESHOLD
+      ? `authors ${formatPercent(candidate.authorScore)} ≥ ${authorsNeeded}`
+      : `authors ${formatPercent(candidate.authorScore)} < ${authorsNeeded} needed`);
+  }
+
+  if (candidate.volumeConflict) reasons.push(`different ${candidate.volumeConflict}`);
+  return reasons.join("; ");
+}
+
+/**
+ * An explanation as display lines: the decision first, then how the title,
+ * authors, volumes and identifiers compared. Parts the explanation doesn't
+ * have are left out.
+ *
+ * @param {MatchExplanation} explanation
+ * @returns {string[]}
+ */
+function formatMatchExplanation(explanation) {
+  if (!explanation) return [];
+  const lines = [explanation.decision];
+  const { title, authors, volume, identifiers } = explanation;
+
+  if (identifiers && identifiers.length > 0) {
+    lines.push(`Same ${formatIdentifiers(identifiers)}`);
+  }
+
+  if (title) {
+    const against = title.field && title.field !== "title"
+      ? ` against ${TITLE_FIELD_LABELS[title.field]} "${title.text}"`
+      : "";
+    lines.push(
+      `Title ${formatPercent(title.score)} by ${title.method}${against} ` +
+      `(Dice ${formatPercent(title.dice)}, containment ${formatPercent(title.containment)})`
+    );
+    const words = [...title.shared, ...title.kindleOnly, ...title.zoteroOnly].filter((t) => t.length > 2);
+    lines.push(`  Shared words: ${displayWords(title.shared, words).join(", ") || "none"}`);
+    const kindleOnly = displayWords(title.kindleOnly, words);
+    const zoteroOnly = displayWords(title.zoteroOnly, words);
+    if (kindleOnly.length > 0) lines.push(`  Only in the book: ${kindleOnly.join(", ")}`);
+    if (zoteroOnly.length > 0) lines.push(`  Only in Zotero: ${zoteroOnly.join(", ")}`);
+  }
+
+  if (authors) {
+    lines.push(`Authors ${formatPercent(authors.score)} by ${authors.method}`);
+    for (const pair of authors.pairs) {
+      lines.push(`  ${pair.kindle} ↔ ${pair.zotero}: ${formatPercent(pair.score)}`);
+    }
+    for (const name of authors.kindleOnly) lines.push(`  ${name}: not in Zotero`);
+    for (const name of authors.zoteroOnly) lines.push(`  ${name}: not on the book`);
+  } else if (title) {
+    lines.push("Authors not compared (the book has none)");
+  }
+
+  if (volume) {
+    for (const key of ["volume", "part", "edition"]) {
+      const kindle = volume.kindle[key];
+      const zotero = volume.zotero[key];
+      if (kindle == null && zotero == null) continue;
+      lines.push(
+        `${key[0].toUpperCase()}${key.slice(1)}: book ${kindle ?? "—"}, Zotero ${zotero ?? "—"}` +
+        (volume.conflict === key ? " (conflict)" : "")
+      );
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Title tokens without the character bigrams the tokenizer adds for each
+ * of the given words ("code" rather than "code, co, od, de"). CJK pairs,
+ * which have no whole word beside them, are kept.
+ */
+function displayWords(tokens, words) {
+  return tokens.filter((token) => token.length > 2 || !words.some((word) => word.includes(token)));
+}
+
+/** ["isbn:9780132350884", "asin:B00X47ZVXM"] → "ISBN 9780132350884 / ASIN B00X47ZVXM" */
+function formatIdentifiers(keys) {
+  return keys
+    .map((key) => {
+      const [type, value] = key.split(":");
+      return `${type.toUpperCase()} ${value}`;
+    })
+    .join(" / ");
+}
+
+function formatPercent(score) {
+  return `${Math.round(score * 100)}%`;
+}
+
 /**
  * Human-readable summary of a match result for logging / UI display.
  *
@@ -124,10 +398,12 @@ function summarizeMatchResult({ matched, ambiguous, unmatched }) {
 
   if (matched.length > 0) {
     lines.push("\n── Matched books ──────────────────────────────");
-    for (const { parsedBook, zoteroItem, titleScore } of matched) {
+    for (const { parsedBook, zoteroItem, titleScore, matchedBy } of matched) {
       const zTitle = getZoteroTitle(zoteroItem);
-      const pct = Math.round(titleScore * 100);
-      lines.push(`  "${parsedBook.title}"\n    → "${zTitle}" (${pct}% match)`);
+      const how = matchedBy === "identifier"
+        ? "ISBN/ASIN match"
+        : `${Math.round(titleScore * 100)}% match`;
+      lines.push(`  "${parsedBook.title}"\n    → "${zTitle}" (${how})`);
     }
   }
 
@@ -152,17 +428,513 @@ function summarizeMatchResult({ matched, ambiguous, unmatched }) {
   return lines.join("\n");
 }
 
+// ─── Duplicate Books ──────────────────────────────────────────────────────────
+
+/**
+ * Group parsed books that look like the same book: a shared ISBN or ASIN,
+ * or titles that would make a confident match with authors that agree.
+ * As with library matching, a different volume, part or edition keeps two
+ * books apart. Parsed books are compared through the same kind of index as
+ * library items, so only books sharing title tokens are scored.
+ *
+ * @param {Map<string, Book>} parsedBooks
+ * @returns {Array<{ keys: string[], books: Book[] }>} Groups of two or more,
+ *          each in parse order
+ */
+function findDuplicateBooks(parsedBooks) {
+  const index = { entries: new Map(), postings: new Map(), identifiers: new Map() };
+  for (const [key, book] of parsedBooks) {
+    const entry = {
+      item: book,
+      titles: [titleVariant("title", book.title, key)],
+      authorNames: toAuthorNames(getBookCreators(book)),
+      volumeInfo: getBookVolumeInfo(book),
+      identifiers: getBookIdentifiers(book),
+    };
+    index.entries.set(key, entry);
+    for (const word of entry.titles[0].words) addPosting(index.postings, word, entry.titles[0]);
+    for (const id of entry.identifiers) addPosting(index.identifiers, id, key);
+  }
+
+  // Union-find over book keys
+  const parent = new Map([...parsedBooks.keys()].map((key) => [key, key]));
+  const root = (key) => {
+    while (parent.get(key) !== key) key = parent.get(key);
+    return key;
+  };
+
+  for (const [key, entry] of index.entries) {
+    const others = new Set([
+      ...findCandidates(index, entry.titles[0].words),
+      ...findIdentifierMatches(index, entry.item),
+    ]);
+    for (const other of others) {
+      const otherKey = other.titles[0].id;
+      if (otherKey === key || root(otherKey) === root(key)) continue;
+      if (isSameBook(entry, other)) parent.set(root(otherKey), root(key));
+    }
+  }
+
+  const groups = new Map();
+  for (const key of parsedBooks.keys()) {
+    if (!groups.has(root(key))) groups.set(root(key), []);
+    groups.get(root(key)).push(key);
+  }
+
+  return [...groups.values()]
+    .filter((keys) => keys.length > 1)
+    .map((keys) => ({ keys, books: keys.map((key) => parsedBooks.get(key)) }));
+}
+
+/** True if two parsed-book index entries look like the same book. */
+function isSameBook(a, b) {
+  if (findVolumeConflict(a.volumeInfo, b.volumeInfo)) return false;
+  if ([...a.identifiers].some((id) => b.identifiers.has(id))) return true;
+
+  if (!isSameBookTitle(a.item, b.item)) return false;
+  return a.authorNames.length === 0 || b.authorNames.length === 0 ||
+    authorSimilarity(a.authorNames, b.authorNames) >= AUTHOR_BOOST_THRESHOLD;
+}
+
+/**
+ * True if two parsed books' titles are close enough to merge them. Merging
+ * is destructive, so this uses the symmetric Dice score rather than the
+ * matcher's title score, whose containment term would join "Dune" and
+ * "Dune Messiah". One title contained in the other is accepted only when
+ * the books also share a series, or have the same main title and matching
+ * subtitles ("Sapiens: A Brief History" / "Sapiens: A Brief History of
+ * Humankind").
+ */
+function isSameBookTitle(a, b) {
+  const tokensA = MatcherTokenizer.tokenize(a.title);
+  const tokensB = MatcherTokenizer.tokenize(b.title);
+  if (diceCoefficient(tokensA, tokensB) >= CONFIDENT_TITLE_THRESHOLD) return true;
+  if (titleSimilarity(tokensA, tokensB) < CONFIDENT_TITLE_THRESHOLD) return false;
+
+  if (a.series && b.series &&
+      diceCoefficient(MatcherTokenizer.tokenize(a.series), MatcherTokenizer.tokenize(b.series)) >=
+        CONFIDENT_TITLE_THRESHOLD) {
+    return true;
+  }
+
+  const [mainA, subtitleA] = splitSubtitle(a.title);
+  const [mainB, subtitleB] = splitSubtitle(b.title);
+  return Boolean(subtitleA && subtitleB) &&
+    diceCoefficient(MatcherTokenizer.tokenize(mainA), MatcherTokenizer.tokenize(mainB)) >=
+      CONFIDENT_TITLE_THRESHOLD &&
+    titleSimilarity(MatcherTokenizer.tokenize(subtitleA), MatcherTokenizer.tokenize(subtitleB)) >=
+      CONFIDENT_TITLE_THRESHOLD;
+}
+
+/** "Sapiens: A Brief History" → ["Sapiens", "A Brief History"]; no subtitle → [title, ""] */
+function splitSubtitle(title) {
+  const match = title.match(/^(.+?)\s*[:：]\s*(.+)$/);
+  return match ? [match[1], match[2]] : [title, ""];
+}
+
+// ─── Library Index ────────────────────────────────────────────────────────────
+
+/**
+ * Build an inverted index over library items. Each item's title tokens and
+ * author names are computed once here rather than on every comparison.
+ *
+ * LibraryIndex shape:
+ * {
+ *   entries:     Map<id, { item, titles, authorNames, volumeInfo, identifiers }>,
+ *   postings:    Map<word, Set<TitleVariant>>  — title word → item titles containing it
+ *   identifiers: Map<key, Set<id>>     — "isbn:…"/"asin:…" → items carrying it
+ * }
+ *
+ * @param {Array<object>} items - Zotero items or test mocks
+ * @returns {LibraryIndex}
+ */
+function buildLibraryIndex(items) {
+  const index = { entries: new Map(), postings: new Map(), identifiers: new Map() };
+  for (const item of items) addToIndex(index, item);
+  return index;
+}
+
+/** Add an item to the index, replacing any earlier entry for it. */
+function addToIndex(index, item) {
+  const id = getItemIndexID(item);
+  removeFromIndex(index, id);
+
+  const entry = {
+    item,
+    titles: getTitleVariants(item).map((variant) => ({ ...variant, id })),
+    authorNames: toAuthorNames(getZoteroCreators(item)),
+    volumeInfo: getZoteroVolumeInfo(item),
+    identifiers: getZoteroIdentifiers(item),
+  };
+  index.entries.set(id, entry);
+
+  for (const variant of entry.titles) {
+    for (const word of variant.words) addPosting(index.postings, word, variant);
+  }
+  for (const key of entry.identifiers) addPosting(index.identifiers, key, id);
+}
+
+function removeFromIndex(index, id) {
+  const entry = index.entries.get(id);
+  if (!entry) return;
+
+  for (const variant of entry.titles) {
+    for (const word of variant.words) removePosting(index.postings, word, variant);
+  }
+  for (const key of entry.identifiers) removePosting(index.identifiers, key, id);
+  index.entries.delete(id);
+}
+
+/**
+ * Every title an item can be matched under, as TitleVariant
+ * { field, text, tokens, words }: its Title, then Short Title, an "original-title:"
+ * line in Extra, and Series when set. A variant that tokenizes the same as
+ * an earlier one is dropped.
+ */
+function getTitleVariants(item) {
+  const texts = [
+    ["title",         getZoteroTitle(item)],
+    ["shortTitle",    getZoteroField(item, "shortTitle")],
+    ["originalTitle", getExtraField(item, /^original[- ]title$/i)],
+    ["series",        getZoteroField(item, "series")],
+  ];
+
+  const variants = [];
+  const seen = new Set();
+  for (const [field, text] of texts) {
+    if (field !== "title" && !text.trim()) continue;
+    const variant = titleVariant(field, text);
+    const key = [...variant.tokens].sort().join(" ");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    variants.push(variant);
+  }
+  return variants;
+}
+
+/** A TitleVariant: full tokens for scoring, whole words for the index */
+function titleVariant(field, text, id) {
+  const variant = {
+    field,
+    text,
+    tokens: MatcherTokenizer.tokenize(text),
+    words:  MatcherTokenizer.tokenize(text, { wordsOnly: true }),
+  };
+  if (id !== undefined) variant.id = id;
+  return variant;
+}
+
+function addPosting(postings, key, id) {
+  let ids = postings.get(key);
+  if (!ids) {
+    ids = new Set();
+    postings.set(key, ids);
+  }
+  ids.add(id);
+}
+
+function removePosting(postings, key, id) {
+  const ids = postings.get(key);
+  ids.delete(id);
+  if (ids.size === 0) postings.delete(key);
+}
+
+/** Index entries sharing an ISBN or ASIN with the parsed book. */
+function findIdentifierMatches(index, parsedBook) {
+  const ids = new Set();
+  for (const key of getBookIdentifiers(parsedBook)) {
+    for (const id of index.identifiers.get(key) || []) ids.add(id);
+  }
+  return [...ids].map((id) => index.entries.get(id));
+}
+
+/**
+ * Index entries with a title variant sharing at least one word, and
+ * CANDIDATE_WORD_SHARE of the shorter title's words, with the given title
+ * words (from tokenize(…, { wordsOnly: true })). Words are counted through
+ * the postings, so items sharing no word are never looked at; bigrams are
+ * left to scoring.
+ */
+function findCandidates(index, titleWords) {
+  // Two empty titles are identical as far as Dice is concerned
+  if (titleWords.size === 0) {
+    return [...index.entries.values()].filter((e) => e.titles.some((v) => v.tokens.size === 0));
+  }
+
+  const shared = new Map();
+  for (const word of titleWords) {
+    const variants = index.postings.get(word);
+    if (!variants) continue;
+    for (const variant of variants) shared.set(variant, (shared.get(variant) || 0) + 1);
+  }
+
+  const ids = new Set();
+  for (const [variant, count] of shared) {
+    const needed = CANDIDATE_WORD_SHARE * Math.min(titleWords.size, variant.words.size);
+    if (count >= needed - 1e-9) ids.add(variant.id);
+  }
+  return [...ids].map((id) => index.entries.get(id));
+}
+
+/** Zotero items are keyed by ID; test mocks without one by the object itself. */
+function getItemIndexID(item) {
+  return item.id != null ? item.id : item;
+}
+
+// ─── Session Index (Zotero only) ──────────────────────────────────────────────
+
+// libraryID → { ready: Promise<LibraryIndex>, changed: Set<itemID> }
+// Items changed since the index was built are re-indexed on next use.
+const libraryIndexCache = new Map();
+
+/**
+ * The index for a library, built on first use and reused for the rest of the
+ * session. Items added, edited, trashed or deleted since the last call are
+ * re-indexed first.
+ *
+ * @param {number} [libraryID] - Defaults to the user's library
+ * @returns {Promise<LibraryIndex>}
+ */
+async function getLibraryIndex(libraryID = Zotero.Libraries.userLibraryID) {
+  let cached = libraryIndexCache.get(libraryID);
+  if (!cached) {
+    cached = { ready: null, changed: new Set() };
+    cached.ready = loadLibraryItems(libraryID)
+      .then(buildLibraryIndex)
+      .catch((err) => {
+        libraryIndexCache.delete(libraryID);
+        throw err;
+      });
+    libraryIndexCache.set(libraryID, cached);
+  }
+
+  const index = await cached.ready;
+
+  if (cached.changed.size > 0) {
+    const ids = [...cached.changed];
+    cached.changed.clear();
+    for (const id of ids) removeFromIndex(index, id);
+
+    const items = await Zotero.Items.getAsync(ids);
+    for (const item of items) {
+      if (item && isIndexableItem(item, libraryID)) addToIndex(index, item);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Zotero.Notifier observer that marks changed items for re-indexing.
+ * Registered by bootstrap.js for "item" events.
+ */
+const libraryObserver = {
+  notify(event, type, ids) {
+    if (type !== "item" || !["add", "modify", "delete", "trash"].includes(event)) return;
+    // Deleted items can no longer tell us their library, so mark them everywhere
+    for (const cached of libraryIndexCache.values()) {
+      for (const id of ids) cached.changed.add(id);
+    }
+  },
+};
+
+/**
+ * All regular (non-attachment, non-note) top-level items in a library. Not
+ * just books, since some entries may be stored as "document" etc.
+ */
+async function loadLibraryItems(libraryID) {
+  const s = new Zotero.Search();
+  s.libraryID = libraryID;
+  s.addCondition("noChildren", "true", "");
+  const ids = await s.search();
+  const items = await Zotero.Items.getAsync(ids);
+  return items.filter((item) => isIndexableItem(item, libraryID));
+}
+
+function isIndexableItem(item, libraryID) {
+  return item.libraryID === libraryID && item.isRegularItem() && !item.deleted;
+}
+
+// ─── Volumes and Editions ─────────────────────────────────────────────────────
+
+/**
+ * Volume, part and edition numbers of a parsed book: the volume found by
+ * the parser's title cleanup, else any marker in the title. Editions come
+ * from the raw title, since cleanup removes "(2nd Edition)".
+ *
+ * @param {Book} parsedBook
+ * @returns {{ volume: number|null, part: number|null, edition: number|null }}
+ */
+function getBookVolumeInfo(parsedBook) {
+  const fromTitle = extractVolumeInfo(`${parsedBook.rawTitle || ""} ${parsedBook.title}`);
+  return { ...fromTitle, volume: parsedBook.volume || fromTitle.volume };
+}
+
+/**
+ * Volume, part and edition numbers of a Zotero item, from its Volume,
+ * Series Number and Edition fields, falling back to markers in the title.
+ */
+function getZoteroVolumeInfo(item) {
+  const fromTitle = extractVolumeInfo(getZoteroTitle(item));
+  return {
+    volume:  parseNumber(getZoteroField(item, "volume")) ||
+             parseNumber(getZoteroField(item, "seriesNumber")) ||
+             fromTitle.volume,
+    part:    fromTitle.part,
+    edition: parseNumber(getZoteroField(item, "edition")) || fromTitle.edition,
+  };
+}
+
+/**
+ * Volume, part and edition markers in a title.
+ *
+ * @param {string} title
+ * @returns {{ volume: number|null, part: number|null, edition: number|null }}
+ */
+function extractVolumeInfo(title) {
+  const volume  = title.match(VOLUME_MARKER_REGEX);
+  const part    = title.match(PART_MARKER_REGEX);
+  const edition = title.match(EDITION_MARKER_REGEX);
+  return {
+    volume:  volume ? parseNumber(volume[1]) : null,
+    part:    part ? parseNumber(part[1]) : null,
+    edition: edition ? parseNumber(edition[1] || edition[2]) : null,
+  };
+}
+
+/**
+ * The first of volume, part or edition that both sides give and that
+ * differs, or null. A number on only one side is no conflict.
+ */
+function findVolumeConflict(a, b) {
+  for (const key of ["volume", "part", "edition"]) {
+    if (a[key] != null && b[key] != null && a[key] !== b[key]) return key;
+  }
+  return null;
+}
+
+/** "3", "III", "three", "third", "2nd ed." → a number; anything else → null. */
+function parseNumber(str) {
+  const text = String(str || "").trim().toLowerCase();
+  if (!text) return null;
+
+  const digits = text.match(/^(\d+)/);
+  if (digits) return parseInt(digits[1], 10);
+
+  const word = text.match(/^[a-z]+/);
+  if (word && NUMBER_WORDS[word[0]]) return NUMBER_WORDS[word[0]];
+
+  if (/^[ivxlc]+$/.test(text)) {
+    const values = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+    let total = 0;
+    for (let i = 0; i < text.length; i++) {
+      const value = values[text[i]];
+      total += value < (values[text[i + 1]] || 0) ? -value : value;
+    }
+    return total;
+  }
+  return null;
+}
+
+// ─── Identifiers ──────────────────────────────────────────────────────────────
+
+/**
+ * Identifier keys for a parsed book, comparable with getZoteroIdentifiers():
+ * "isbn:<ISBN-13>" for each valid ISBN and "asin:<ASIN>".
+ *
+ * @param {Book} book
+ * @returns {Set<string>}
+ */
+function getBookIdentifiers(book) {
+  const keys = new Set();
+  for (const isbn of extractISBNs(book.isbn || "")) keys.add(`isbn:${isbn}`);
+  if (book.asin) addASINKeys(keys, book.asin);
+  return keys;
+}
+
+/**
+ * Identifier keys for a Zotero item, from its ISBN field and from
+ * "ISBN: …" / "ASIN: …" lines in Extra.
+ */
+function getZoteroIdentifiers(item) {
+  const keys = new Set();
+  for (const isbn of extractISBNs(getZoteroField(item, "ISBN"))) keys.add(`isbn:${isbn}`);
+
+  for (const line of getZoteroField(item, "extra").split("\n")) {
+    const match = line.match(/^\s*(?:Amazon\s+)?(ISBN|ASIN)\s*:\s*(.+)$/i);
+    if (!match) continue;
+    if (match[1].toUpperCase() === "ISBN") {
+      for (const isbn of extractISBNs(match[2])) keys.add(`isbn:${isbn}`);
+    } else {
+      addASINKeys(keys, match[2]);
+    }
+  }
+  return keys;
+}
+
+/**
+ * A print book's ASIN is its ISBN-10, so an ASIN that is a valid ISBN-10
+ * also counts as that ISBN.
+ */
+function addASINKeys(keys, asinStr) {
+  const asin = asinStr.trim().toUpperCase();
+  if (!/^[0-9A-Z]{10}$/.test(asin)) return;
+  keys.add(`asin:${asin}`);
+  for (const isbn of extractISBNs(asin)) keys.add(`isbn:${isbn}`);
+}
+
+/**
+ * Every valid ISBN in a string, as ISBN-13. Zotero's ISBN field may hold
+ * several, separated by spaces ("9780132350884 0132350882"); hyphens are ignored.
+ *
+ * @param {string} str
+ * @returns {string[]}
+ */
+function extractISBNs(str) {
+  const isbns = [];
+  for (const candidate of String(str).toUpperCase().match(/[0-9][0-9-]{8,15}[0-9X]/g) || []) {
+    const isbn = normalizeISBN(candidate);
+    if (isbn) isbns.push(isbn);
+  }
+  return isbns;
+}
+
+/** An ISBN-10 or ISBN-13 as ISBN-13, or null if it isn't a valid one. */
+function normalizeISBN(str) {
+  const digits = String(str).toUpperCase().replace(/[\s-]/g, "");
+
+  if (/^97[89]\d{10}$/.test(digits)) {
+    return isbn13CheckDigit(digits) === digits[12] ? digits : null;
+  }
+  if (/^\d{9}[\dX]$/.test(digits)) {
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+      sum += (digits[i] === "X" ? 10 : Number(digits[i])) * (10 - i);
+    }
+    if (sum % 11 !== 0) return null;
+    const isbn13 = `978${digits.slice(0, 9)}`;
+    return isbn13 + isbn13CheckDigit(isbn13);
+  }
+  return null;
+}
+
+function isbn13CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  return String((10 - (sum % 10)) % 10);
+}
+
 // ─── Zotero API Helpers ───────────────────────────────────────────────────────
 
 /**
- * Fetch all book-type items from the user's Zotero library.
+ * Fetch all book-type items from a Zotero library (the user's by default).
  * When running inside Zotero, uses the global Zotero object.
  * When testing, accepts an injected mock.
  */
-function getZoteroBookItems(zoteroLib) {
+function getZoteroBookItems(zoteroLib, libraryID) {
   // Running inside Zotero plugin
   if (typeof Zotero !== "undefined" && !zoteroLib) {
-    const libraryID = Zotero.Libraries.userLibraryID;
+    libraryID = libraryID || Zotero.Libraries.userLibraryID;
     return Zotero.Items.getAll(libraryID, false, false, true).filter((item) => {
       // Only top-level items that are books or book sections
       return (
@@ -191,58 +963,241 @@ function getZoteroTitle(item) {
   return item.title || "";
 }
 
+/** Any field of a Zotero item, or the same-named property of a test mock. */
+function getZoteroField(item, field) {
+  if (typeof item.getField === "function") {
+    return item.getField(field) || "";
+  }
+  return item[field] || "";
+}
+
 /**
- * Get a flat list of author name strings from a Zotero item.
+ * The value of the first "name: value" line in a Zotero item's Extra field
+ * whose name matches the given pattern, or "".
  */
-function getZoteroAuthors(item) {
-  if (typeof item.getCreators === "function") {
-    return item.getCreators()
-      .filter((c) => c.creatorType === "author")
-      .map((c) => [c.firstName, c.lastName].filter(Boolean).join(" "));
+function getExtraField(item, namePattern) {
+  for (const line of getZoteroField(item, "extra").split("\n")) {
+    const match = line.match(/^\s*([^:]+?)\s*:\s*(.+)$/);
+    if (match && namePattern.test(match[1])) return match[2].trim();
+  }
+  return "";
+}
+
+/**
+ * Every creator of a Zotero item as { firstName, lastName, creatorType }.
+ * Single-field names (organisations, or names Zotero couldn't split) come
+ * back with the whole name in lastName.
+ */
+function getZoteroCreators(item) {
+  if (typeof item.getCreatorsJSON === "function") {
+    return item.getCreatorsJSON().map((c) => ({
+      firstName: c.firstName || "",
+      lastName: c.lastName || c.name || "",
+      creatorType: c.creatorType,
+    }));
   }
   // Mock format: item.creators = [{ firstName, lastName }]
-  return (item.creators || []).map((c) =>
-    [c.firstName, c.lastName].filter(Boolean).join(" ")
-  );
+  return item.creators || [];
 }
 
-// ─── String Similarity ────────────────────────────────────────────────────────
+/**
+ * Get a flat list of author name strings from a Zotero item.
+ */
+function getZoteroAuthors(item) {
+  return getZoteroCreators(item)
+    .filter((c) => !c.creatorType || c.creatorType === "author")
+    .map((c) => [c.firstName, c.lastName].filter(Boolean).join(" "));
+}
 
 /**
- * Tokenize a string for comparison:
- *   - Lowercase
- *   - Remove punctuation
- *   - Remove common English articles and noise words that differ between
- *     Kindle/Zotero representations of the same title
- *   - Split into a Set of tokens (bigrams for better sensitivity)
+ * A parsed book's structured creators. Books built by hand (e.g. in tests)
+ * may only have display names, which are split at the last word.
  */
-function tokenize(str) {
-  if (!str) return new Set();
+function getBookCreators(parsedBook) {
+  if (parsedBook.creators) return parsedBook.creators;
+  return (parsedBook.authors || []).map((name) => {
+    const words = name.trim().split(/\s+/);
+    return { firstName: words.slice(0, -1).join(" "), lastName: words[words.length - 1] || "" };
+  });
+}
 
-  const STOP_WORDS = new Set([
-    "a", "an", "the", "of", "in", "on", "at", "to", "for", "and", "or",
-    "with", "by", "from", "as", "is", "its", "it", "be", "was", "are",
-  ]);
+// ─── Author Similarity ────────────────────────────────────────────────────────
 
-  const words = str
-    .toLowerCase()
-    .replace(/['']/g, "") // smart apostrophes
-    .replace(/[^a-z0-9\s]/g, " ") // everything else → space
-    .split(/\s+/)
-    .filter((w) => w.length > 1 && !STOP_WORDS.has(w));
+/**
+ * Names prepared for comparison:
+ * {
+ *   display: string,     // the name as given, for explanations
+ *   surname: string[],   // folded surname words, without particles or suffixes
+ *   given:   string[],   // folded given names; initials are single letters
+ *   words:   Set<string>, // every word, for organisations
+ *   isInstitution: boolean
+ * }
+ *
+ * @param {Array<{ firstName, lastName, isInstitution? }>} creators
+ * @returns {AuthorName[]}
+ */
+function toAuthorNames(creators) {
+  const names = [];
+  for (const creator of creators) {
+    let given   = nameWords(creator.firstName);
+    let surname = nameWords(creator.lastName);
 
-  // Use character bigrams of each word for fuzziness (handles typos, plurals)
-  const bigrams = new Set();
-  for (const word of words) {
-    bigrams.add(word); // whole word
-    for (let i = 0; i < word.length - 1; i++) {
-      bigrams.add(word.slice(i, i + 2)); // bigram
+    // A single-field name ("J. R. R. Tolkien") ends with the surname,
+    // along with any particles before it
+    if (given.length === 0 && surname.length > 1 && !creator.isInstitution) {
+      let start = surname.length - 1;
+      while (start > 1 && MATCHER_NAME_PARTICLES.has(surname[start - 1])) start--;
+      given   = surname.slice(0, start);
+      surname = surname.slice(start);
     }
+
+    const words = new Set([...given, ...surname]);
+    given   = given.filter((w) => !MATCHER_NAME_PARTICLES.has(w) && !MATCHER_NAME_SUFFIXES.has(w));
+    surname = surname.filter((w) => !MATCHER_NAME_PARTICLES.has(w) && !MATCHER_NAME_SUFFIXES.has(w));
+    if (words.size === 0) continue;
+
+    names.push({
+      display: [creator.firstName, creator.lastName].filter(Boolean).join(" "),
+      surname: surname.length > 0 ? surname : [...words].slice(-1),
+      given,
+      words,
+      isInstitution: !!creator.isInstitution,
+    });
+  }
+  return names;
+}
+
+/**
+ * How well two lists of authors agree (0–1). Each author is paired with
+ * their best match on the other side, whatever the order. As with titles,
+ * the score is the better of a Dice-style overlap and a dampened
+ * containment, so "Kahneman" alone still matches "Kahneman, Tversky".
+ *
+ * @param {AuthorName[]} namesA
+ * @param {AuthorName[]} namesB
+ * @returns {number}
+ */
+function authorSimilarity(namesA, namesB) {
+  return compareAuthors(namesA, namesB).score;
+}
+
+/**
+ * authorSimilarity() with its workings, for match explanations: the Dice
+ * and containment scores, which won, and the names paired up (A is the
+ * book's side, B Zotero's).
+ */
+function compareAuthors(namesA, namesB) {
+  const allPairs = [];
+  for (let i = 0; i < namesA.length; i++) {
+    for (let j = 0; j < namesB.length; j++) {
+      const score = nameSimilarity(namesA[i], namesB[j]);
+      if (score > 0) allPairs.push({ i, j, score });
+    }
+  }
+  allPairs.sort((a, b) => b.score - a.score);
+
+  // Greedy pairing is enough for author lists this short
+  const usedA = new Set();
+  const usedB = new Set();
+  const pairs = [];
+  let total = 0;
+  for (const { i, j, score } of allPairs) {
+    if (usedA.has(i) || usedB.has(j)) continue;
+    usedA.add(i);
+    usedB.add(j);
+    pairs.push({ kindle: namesA[i].display, zotero: namesB[j].display, score });
+    total += score;
+  }
+
+  const empty = namesA.length === 0 || namesB.length === 0;
+  const dice = empty ? 0 : (2 * total) / (namesA.length + namesB.length);
+  const containment = empty ? 0 : (total / Math.min(namesA.length, namesB.length)) * 0.9;
+
+  return {
+    score: Math.max(dice, containment),
+    dice,
+    containment,
+    method: containment > dice ? "containment" : "dice",
+    pairs,
+    kindleOnly: namesA.filter((_, i) => !usedA.has(i)).map((name) => name.display),
+    zoteroOnly: namesB.filter((_, j) => !usedB.has(j)).map((name) => name.display),
+  };
+}
+
+/**
+ * How likely two names are the same person (0–1). The surnames must agree
+ * (allowing a missing second surname or a small spelling difference); given
+ * names then confirm or contradict it, with initials matching any name that
+ * starts with that letter.
+ */
+function nameSimilarity(a, b) {
+  if (a.isInstitution || b.isInstitution) {
+    return diceCoefficient(a.words, b.words);
   }
 
+  const surname = surnameSimilarity(a.surname, b.surname);
+  if (surname === 0) return 0;
+
+  return surname * givenNameFactor(a.given, b.given);
+}
+
+function surnameSimilarity(a, b) {
+  const joinedA = a.join(" ");
+  const joinedB = b.join(" ");
+  if (joinedA === joinedB) return 1;
+
+  // "García Márquez" vs "Márquez"
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (shorter.every((w) => longer.includes(w))) return 0.85;
+
+  // Spelling variants: "Dostoevsky" vs "Dostoyevsky"
+  const dice = diceCoefficient(charBigrams(joinedA), charBigrams(joinedB));
+  return dice >= 0.75 ? dice * 0.9 : 0;
+}
+
+/**
+ * 1 when the given names agree in full, a little less when they only agree
+ * through initials or a shortened name ("Chris" / "Christopher"), a little
+ * less again when one side has none, and low when they contradict each
+ * other ("Christopher Tolkien" vs "J. R. R. Tolkien").
+ */
+function givenNameFactor(a, b) {
+  if (a.length === 0 || b.length === 0) return 0.9;
+
+  let exact = true;
+  for (let k = 0; k < Math.min(a.length, b.length); k++) {
+    const x = a[k];
+    const y = b[k];
+    if (x === y) continue;
+    exact = false;
+
+    const [shorter, longer] = x.length <= y.length ? [x, y] : [y, x];
+    const compatible = shorter.length === 1
+      ? longer.startsWith(shorter)                        // initial
+      : shorter.length >= 3 && longer.startsWith(shorter); // "Chris" / "Christopher"
+    if (!compatible) return 0.25;
+  }
+  return exact ? 1 : 0.95;
+}
+
+/** Folded words of a name, with initials split apart: "J.R.R." → ["j", "r", "r"]. */
+function nameWords(str) {
+  return MatcherTokenizer.foldText(str || "")
+    .replace(/['’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .split(" ")
+    .filter(Boolean);
+}
+
+function charBigrams(str) {
+  const chars = Array.from(str.replace(/\s+/g, ""));
+  const bigrams = new Set();
+  for (let i = 0; i < chars.length - 1; i++) bigrams.add(chars[i] + chars[i + 1]);
   return bigrams;
 }
 
+// ─── String Similarity ────────────────────────────────────────────────────────
+
 /**
  * Sørensen–Dice coefficient between two token sets.
  * Returns a value between 0 (no overlap) and 1 (identical).
@@ -272,19 +1227,48 @@ function diceCoefficient(setA, setB) {
  * doesn't score as high as a near-identical match.
  */
 function titleSimilarity(tokensA, tokensB) {
+  return compareTitles(tokensA, tokensB).score;
+}
+
+/**
+ * compareTitles() against whichever of an item's title variants scores
+ * best. Ties go to the earlier variant, so Title wins over Short Title.
+ * Series scores by Dice only, capped at SERIES_TITLE_MAX_SCORE.
+ */
+function compareTitleVariants(tokens, variants) {
+  let best = null;
+  for (const { field, text, tokens: variantTokens } of variants) {
+    let comparison = compareTitles(tokens, variantTokens);
+    if (field === "series") {
+      comparison = { ...comparison, score: Math.min(comparison.dice, SERIES_TITLE_MAX_SCORE), method: "dice" };
+    }
+    if (!best || comparison.score > best.score) best = { ...comparison, field, text };
+  }
+  return best;
+}
+
+/**
+ * titleSimilarity() with its workings, for match explanations: the Dice
+ * and containment scores, which won, and the tokens each side shares or
+ * has alone (A is the book's side, B Zotero's).
+ */
+function compareTitles(tokensA, tokensB) {
   const dice = diceCoefficient(tokensA, tokensB);
+  const shared = [...tokensA].filter((token) => tokensB.has(token));
 
   // Containment: what fraction of the smaller set is in the larger set?
-  const smaller = tokensA.size <= tokensB.size ? tokensA : tokensB;
-  const larger  = tokensA.size <= tokensB.size ? tokensB : tokensA;
-
-  let contained = 0;
-  for (const token of smaller) {
-    if (larger.has(token)) contained++;
-  }
-  const containment = smaller.size === 0 ? 0 : (contained / smaller.size) * 0.9;
+  const smallerSize = Math.min(tokensA.size, tokensB.size);
+  const containment = smallerSize === 0 ? 0 : (shared.length / smallerSize) * 0.9;
 
-  return Math.max(dice, containment);
+  return {
+    score: Math.max(dice, containment),
+    dice,
+    containment,
+    method: containment > dice ? "containment" : "dice",
+    shared,
+    kindleOnly: [...tokensA].filter((token) => !tokensB.has(token)),
+    zoteroOnly: [...tokensB].filter((token) => !tokensA.has(token)),
+  };
 }
 
 // ─── Exports ──────────────────────────────────────────────────────────────────
@@ -292,12 +1276,25 @@ function titleSimilarity(tokensA, tokensB) {
 var KindleMatcher = {
   matchBooksToZotero,
   summarizeMatchResult,
+  formatMatchExplanation,
+  findDuplicateBooks,
+  getLibraryIndex,
+  libraryObserver,
   // Exported for testing
-  _tokenize: tokenize,
+  _tokenize: MatcherTokenizer.tokenize,
   _diceCoefficient: diceCoefficient,
   _titleSimilarity: titleSimilarity,
+  _buildLibraryIndex: buildLibraryIndex,
+  _findCandidates: findCandidates,
+  _normalizeISBN: normalizeISBN,
+  _getBookIdentifiers: getBookIdentifiers,
+  _getZoteroIdentifiers: getZoteroIdentifiers,
   _getZoteroTitle: getZoteroTitle,
   _getZoteroAuthors: getZoteroAuthors,
+  _toAuthorNames: toAuthorNames,
+  _authorSimilarity: authorSimilarity,
+  _extractVolumeInfo: extractVolumeInfo,
+  _findVolumeConflict: findVolumeConflict,
 };
 
 if (typeof module !== "undefined" && module.exports) {
@@ -0,0 +1,222 @@
+/**
+ * notebookParser.js
+ * Parses the HTML produced by "Export Notebook" in the Kindle apps
+ * (iOS, Android, PC/Mac) into the same structure as parser.js.
+ *
+ * Unlike My Clippings.txt, a notebook export covers a single book, carries
+ * the book's real title and authors, groups highlights under chapter
+ * headings and records the highlight colour.
+ *
+ * Output shape: identical to parseClippings() — { books, skipped, collapsed, errors, diagnostics }.
+ * The book carries `asin` when the export names one.
+ * Highlights and notes gain two optional fields:
+ * {
+ *   chapter: string|null,   // nearest preceding section heading
+ *   color:   string|null    // highlights only: "yellow", "blue", "pink", "orange"
+ * }
+ *
+ * The export's markup is simple and machine-generated, e.g.:
+ *   <div class="bookTitle">Thinking, Fast and Slow</div>
+ *   <div class="authors">Kahneman, Daniel</div>
+ *   <div class="sectionHeading">Part I: Two Systems</div>
+ *   <div class="noteHeading">Highlight(<span class="highlight_yellow">yellow</span>) - Page 20 · Location 269</div>
+ *   <div class="noteText">System 1 operates automatically…</div>
+ * Older app versions emit <h3 class="noteText"> and leave some tags unclosed,
+ * so blocks are split on their opening tags rather than parsed as a tree.
+ */
+
+"use strict";
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+// Opening tag of any classed block we care about, e.g. <div class="noteText">
+const NOTEBOOK_BLOCK_REGEX =
+  /<(?:div|h[1-6])\s+class\s*=\s*["']([\w-]+)["'][^>]*>([\s\S]*?)(?=<(?:div|h[1-6])\s+class\s*=|<\/body|$)/gi;
+
+// Matches the heading above each clip, after tags are stripped, e.g.:
+//   "Highlight(yellow) - Page 20 · Location 269"
+//   "Highlight (blue) - Chapter 3 > Page 41 · Location 602"
+//   "Note - Location 270"
+const NOTEBOOK_HEADING_REGEX = /^(Highlight|Note|Bookmark)\b/i;
+const NOTEBOOK_PAGE_REGEX     = /\bPage\s+([\dxivlc]+)/i;
+const NOTEBOOK_LOCATION_REGEX = /\bLocation\s+(\d+)/i;
+const NOTEBOOK_COLOR_REGEX    = /class\s*=\s*["']highlight_(\w+)["']/i;
+
+// Notebooks saved from the Kindle web reader name the book's ASIN in
+// kindle://book?action=open&asin=… links, data-asin attributes or a hidden input
+const NOTEBOOK_ASIN_REGEX =
+  /(?:[?&;]asin=|\bdata-asin\s*=\s*["']|kp-notebook-annotations-asin["'][^>]*?value\s*=\s*["'])([0-9A-Z]{10})\b/i;
+
+// Parser helpers shared with parser.js. Inside Zotero both files are loaded
+// into the same scope by bootstrap.js; under Node we require it.
+const NotebookParserHelpers =
+  typeof KindleParser !== "undefined" ? KindleParser : require("./parser.js");
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * True if the file content looks like a Kindle "Export Notebook" HTML file.
+ *
+ * @param {string} content
+ * @returns {boolean}
+ */
+function isNotebookHTML(content) {
+  return /class\s*=\s*["']notebookFor["']/i.test(content) ||
+    (/class\s*=\s*["']bookTitle["']/i.test(content) &&
+     /class\s*=\s*["']noteHeading["']/i.test(content));
+}
+
+/**
+ * Parse the full text content of a Kindle notebook export.
+ *
+ * @param {string} html - Raw HTML content of the file
+ * @param {object}  [options]
+ * @param {boolean} [options.keepBookmarks=false] - Keep bookmarks instead of skipping them
+ * @returns {{ books: Map<string, Book>, skipped: number, collapsed: number, errors: string[], diagnostics: Diagnostic[] }}
+ */
+function parseNotebookHTML(html, options = {}) {
+  const books = new Map();
+  const log = NotebookParserHelpers._createParseLog();
+
+  let rawTitle = "";
+  let authorStr = "";
+  let chapter = null;
+  let pendingHeading = null; // the noteHeading whose noteText we're waiting for
+  const clips = [];
+
+  // Turn a heading (and its text, if any) into a clip
+  const flush = (heading, text) => {
+    const raw = text ? `${heading.text}\n${text}` : heading.text;
+    try {
+      const clip = parseNotebookClip(heading, text, options);
+      if (clip) clips.push(clip);
+      else log.skip(/^Bookmark/i.test(heading.text) ? "bookmark" : "empty", null, raw);
+    } catch (err) {
+      log.error(err.message, null, raw);
+    }
+  };
+
+  for (const [, className, inner] of html.matchAll(NOTEBOOK_BLOCK_REGEX)) {
+    switch (className) {
+      case "bookTitle":
+        rawTitle = htmlToText(inner);
+        break;
+      case "authors":
+        authorStr = htmlToText(inner);
+        break;
+      case "sectionHeading":
+        chapter = htmlToText(inner) || null;
+        break;
+      case "noteHeading":
+        if (pendingHeading) flush(pendingHeading, ""); // heading with no text block (e.g. bookmark)
+        pendingHeading = {
+          text: htmlToText(inner),
+          color: (inner.match(NOTEBOOK_COLOR_REGEX) || [])[1] || null,
+          chapter,
+        };
+        break;
+      case "noteText":
+        if (!pendingHeading) break;
+        flush(pendingHeading, htmlToText(inner));
+        pendingHeading = null;
+        break;
+    }
+  }
+  if (pendingHeading) flush(pendingHeading, "");
+
+  if (!rawTitle) {
+    return { books, collapsed: 0, ...log.result() };
+  }
+
+  const { title, series, volume, asin } = NotebookParserHelpers._cleanTitle(rawTitle);
+  const creators = NotebookParserHelpers._parseCreators(authorStr);
+  const authors  = creators.map(NotebookParserHelpers._creatorName);
+  const book = {
+    title, rawTitle, authors, creators, series, volume,
+    asin: asin || findNotebookASIN(html),
+    highlights: [], notes: [], bookmarks: [],
+  };
+
+  // A note in the export immediately follows the highlight it annotates
+  let previous = null;
+  for (const clip of clips) {
+    if (clip.type === "highlight") {
+      book.highlights.push(clip);
+    } else if (clip.type === "bookmark") {
+      book.bookmarks.push(clip);
+    } else {
+      clip.parentHighlight = previous && previous.type === "highlight" ? previous : null;
+      book.notes.push(clip);
+    }
+    previous = clip;
+  }
+
+  books.set(NotebookParserHelpers._makeBookKey(title, authors, volume), book);
+  const collapsed = NotebookParserHelpers._finalizeBooks(books);
+
+  return { books, collapsed, ...log.result() };
+}
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+/**
+ * Build a clip from a noteHeading/noteText pair.
+ * Returns null for empty clips, and for bookmarks unless options.keepBookmarks.
+ */
+function parseNotebookClip(heading, text, options) {
+  const typeMatch = heading.text.match(NOTEBOOK_HEADING_REGEX);
+  if (!typeMatch) throw new Error(`Unrecognised heading "${heading.text}"`);
+
+  const type = typeMatch[1].toLowerCase();
+  if (type === "bookmark" ? !options.keepBookmarks : !text) return null;
+
+  const pageMatch = heading.text.match(NOTEBOOK_PAGE_REGEX);
+  const locMatch  = heading.text.match(NOTEBOOK_LOCATION_REGEX);
+  const page = pageMatch && /^\d+$/.test(pageMatch[1]) ? parseInt(pageMatch[1], 10) : null;
+
+  const clip = {
+    type,
+    page,
+    locationStart: locMatch ? parseInt(locMatch[1], 10) : null,
+    locationEnd: null, // the export only records where a highlight starts
+    dateAdded: null,   // …and never when it was made
+    text: type === "bookmark" ? "" : text,
+    chapter: heading.chapter,
+  };
+  if (type === "highlight") clip.color = heading.color;
+  return clip;
+}
+
+/** The ASIN named anywhere in the export, if any. */
+function findNotebookASIN(html) {
+  const match = html.match(NOTEBOOK_ASIN_REGEX);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/** Strip tags, decode entities and collapse whitespace. */
+function htmlToText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function decodeEntities(str) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+  return str.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const n = code[1] === "x" || code[1] === "X"
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return isNaN(n) || n > 0x10FFFF ? entity : String.fromCodePoint(n);
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+var KindleNotebookParser = { isNotebookHTML, parseNotebookHTML };
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KindleNotebookParser;
+}
@@ -4,16 +4,36 @@
  *
  * Output shape:
  * {
- *   books: Map<string, Book>   // keyed by a normalized "title::author" string
+ *   books: Map<string, Book>,  // keyed by a normalized "title::author" string
+ *   skipped: number,           // entries deliberately left out (see diagnostics)
+ *   collapsed: number,         // highlights superseded by a later edit
+ *   errors: string[],          // one message per entry that failed to parse
+ *   diagnostics: Diagnostic[]  // every skip and error, with where and why
+ * }
+ *
+ * Diagnostic shape:
+ * {
+ *   line: number|null,         // 1-based line in the source file, when it has lines
+ *   severity: "skip"|"error",
+ *   reason: string,            // one of DIAGNOSTIC_REASONS
+ *   message: string,
+ *   raw: string                // the entry as it appears in the source
  * }
  *
  * Book shape:
  * {
- *   title: string,
+ *   title: string,             // cleaned: no file extension, download-site suffix or edition marker
  *   authors: string[],         // normalized to "First Last" order
+ *   creators: Creator[],       // the same people, structured (see parseCreators)
  *   rawTitle: string,          // original title string from Kindle, unmodified
+ *   series: string|null,       // e.g. "The Expanse" from "Leviathan Wakes (The Expanse Book 1)" or "The Expanse [Book 3]"
+ *   volume: number|null,       // e.g. 3 from "The Expanse [Book 3]"
+ *   isbn?: string|null,        // only when the source records one (e.g. Kobo)
+ *   asin?: string|null,        // Amazon ID, from the source (Readwise, Bookcision) or a file name
+ *   sourceUrl?: string|null,   // link back to the source (Readwise)
  *   highlights: Highlight[],
- *   notes: Note[]
+ *   notes: Note[],
+ *   bookmarks: Bookmark[]      // empty unless parsed with { keepBookmarks: true }
  * }
  *
  * Highlight shape:
@@ -32,7 +52,26 @@
  *   page: number|null,
  *   locationStart: number|null,
  *   dateAdded: Date|null,
- *   text: string
+ *   text: string,
+ *   parentHighlight: Highlight|null   // the highlight this note annotates, if any
+ * }
+ *
+ * Creator shape:
+ * {
+ *   firstName: string,         // "" for institutions and single-name authors
+ *   lastName: string,          // the whole name for institutions
+ *   role: "author"|"editor"|"translator"|"contributor",
+ *   isInstitution: boolean
+ * }
+ *
+ * Bookmark shape:
+ * {
+ *   type: "bookmark",
+ *   page: number|null,
+ *   locationStart: number|null,
+ *   locationEnd: null,
+ *   dateAdded: Date|null,
+ *   text: ""
  * }
  */
 
@@ -42,18 +81,176 @@
 
 const ENTRY_SEPARATOR = "==========";
 
-// Matches the metadata line, e.g.:
-//   "- Your Highlight on page 23 | Location 342-344 | Added on Sunday, January 5, 2025 9:14:32 AM"
-//   "- Your Note on page 23 | Location 342 | Added on ..."
-//   "- Your Bookmark on Location 100 | Added on ..."
-const METADATA_REGEX =
-  /^-\s+Your\s+(Highlight|Note|Bookmark)(?:\s+on\s+page\s+(\d+))?(?:\s+\|\s+)?(?:Location\s+(\d+)(?:-(\d+))?(?:\s+\|\s+)?)?(?:Added\s+on\s+(.+))?$/i;
+// Metadata line formats, one entry per Kindle UI language. The language is
+// detected per entry (the first locale whose `type` pattern matches wins), so
+// a file that mixes clippings from differently-configured devices still parses.
+//
+//   en: "- Your Highlight on page 23 | Location 342-344 | Added on Sunday, January 5, 2025 9:14:32 AM"
+//   de: "- Ihre Markierung auf Seite 12 | Position 150-155 | Hinzugefügt am Sonntag, 5. Januar 2025 09:14:32"
+//   fr: "- Votre surlignement sur la page 12 | emplacement 150-155 | Ajouté le dimanche 5 janvier 2025 09:14:32"
+//   es: "- La subrayado en la página 12 | posición 150-155 | Añadido el domingo, 5 de enero de 2025 9:14:32"
+//   it: "- La tua evidenziazione a pagina 12 | posizione 150-155 | Aggiunto in data domenica 5 gennaio 2025 09:14:32"
+//   pt: "- Seu destaque na página 12 | posição 150-155 | Adicionado: domingo, 5 de janeiro de 2025 09:14:32"
+//   ja: "- 12ページ|位置No. 150-155のハイライト |作成日: 2025年1月5日日曜日 9:14:32"
+//   zh: "- 您在第 12 页（位置 #150-155）的标注 | 添加于 2025年1月5日星期日 上午9:14:32"
+//
+// `types` maps the (lowercased) word captured by `type` to our clip type.
+const METADATA_LOCALES = [
+  {
+    lang:     "en",
+    type:     /^-\s*Your\s+(Highlight|Note|Bookmark)\b/i,
+    types:    { highlight: "highlight", note: "note", bookmark: "bookmark" },
+    page:     /\bpage\s+(\d+)/i,
+    location: /\blocation\s+(\d+)(?:-(\d+))?/i,
+    added:    /\bAdded\s+on\s+(.+)$/i,
+  },
+  {
+    lang:     "de",
+    type:     /^-\s*Ihre?\s+(Markierung|Notiz|Lesezeichen)\b/i,
+    types:    { markierung: "highlight", notiz: "note", lesezeichen: "bookmark" },
+    page:     /\bSeite\s+(\d+)/i,
+    location: /\bPosition\s+(\d+)(?:-(\d+))?/i,
+    added:    /\bHinzugefügt\s+am\s+(.+)$/i,
+  },
+  {
+    lang:     "fr",
+    type:     /^-\s*Votre\s+(surlignement|note|signet)\b/i,
+    types:    { surlignement: "highlight", note: "note", signet: "bookmark" },
+    page:     /\bpage\s+(\d+)/i,
+    location: /\bemplacement\s+(\d+)(?:-(\d+))?/i,
+    added:    /\bAjouté\s+le\s+(.+)$/i,
+  },
+  {
+    lang:     "es",
+    type:     /^-\s*(?:La|El|Tu)\s+(subrayado|nota|marcador)\b/i,
+    types:    { subrayado: "highlight", nota: "note", marcador: "bookmark" },
+    page:     /\bpágina\s+(\d+)/i,
+    location: /\bposición\s+(\d+)(?:-(\d+))?/i,
+    added:    /\bAñadido\s+el\s+(.+)$/i,
+  },
+  {
+    lang:     "it",
+    type:     /^-\s*(?:La\s+tua|Il\s+tuo)\s+(evidenziazione|nota|segnalibro)\b/i,
+    types:    { evidenziazione: "highlight", nota: "note", segnalibro: "bookmark" },
+    page:     /\bpagina\s+(\d+)/i,
+    location: /\bposizione\s+(\d+)(?:-(\d+))?/i,
+    added:    /\bAggiunto\s+(?:in\s+data|il)\s+(.+)$/i,
+  },
+  {
+    lang:     "pt",
+    type:     /^-\s*(?:Seu|Sua)\s+(destaque|nota|marcador)\b/i,
+    types:    { destaque: "highlight", nota: "note", marcador: "bookmark" },
+    page:     /\bpágina\s+(\d+)/i,
+    location: /\bposição\s+(\d+)(?:-(\d+))?/i,
+    added:    /\bAdicionado:?\s+(?:em\s+)?(.+)$/i,
+  },
+  {
+    lang:     "ja",
+    type:     /の(ハイライト|メモ|ブックマーク)/,
+    types:    { "ハイライト": "highlight", "メモ": "note", "ブックマーク": "bookmark" },
+    page:     /(\d+)\s*ページ/,
+    location: /位置No\.\s*(\d+)(?:-(\d+))?/,
+    added:    /作成日[:：]\s*(.+)$/,
+  },
+  {
+    lang:     "zh",
+    type:     /的(标注|笔记|书签)/,
+    types:    { "标注": "highlight", "笔记": "note", "书签": "bookmark" },
+    page:     /第\s*(\d+)\s*页/,
+    location: /位置\s*#?(\d+)(?:-(\d+))?/,
+    added:    /添加于\s*(.+)$/,
+  },
+];
+
+// Month names per locale, used by parseDateString() for the languages whose
+// date strings the JS Date constructor can't read.
+const MONTH_NAMES = {
+  en: ["january", "february", "march", "april", "may", "june", "july",
+       "august", "september", "october", "november", "december"],
+  de: ["januar", "februar", "märz", "april", "mai", "juni", "juli",
+       "august", "september", "oktober", "november", "dezember"],
+  fr: ["janvier", "février", "mars", "avril", "mai", "juin", "juillet",
+       "août", "septembre", "octobre", "novembre", "décembre"],
+  es: ["enero", "febrero", "marzo", "abril", "mayo", "junio", "julio",
+       "agosto", "septiembre", "octubre", "noviembre", "diciembre"],
+  it: ["gennaio", "febbraio", "marzo", "aprile", "maggio", "giugno", "luglio",
+       "agosto", "settembre", "ottobre", "novembre", "dicembre"],
+  pt: ["janeiro", "fevereiro", "março", "abril", "maio", "junho", "julho",
+       "agosto", "setembro", "outubro", "novembro", "dezembro"],
+};
 
-// Matches the title/author line, e.g.:
-//   "The Pragmatic Programmer (David Thomas;Andrew Hunt)"
-//   "Thinking, Fast and Slow (Kahneman, Daniel)"
-//   "A Book With No Author Shown"
-const TITLE_AUTHOR_REGEX = /^(.*?)\s*\(([^)]+)\)\s*$/;
+// Roles written next to a name: "Tolkien, J. R. R. (ed.)", "Edited by Jane Smith",
+// "Kahneman, Daniel, translator". Values are Zotero creator types; forewords
+// and introductions have no type of their own, so they become "contributor".
+const CREATOR_ROLE_PATTERNS = [
+  { role: "editor",      regex: /\(\s*(?:eds?|editors?|hrsg|hg|dir)\.?\s*\)|,\s*editors?$|^edited\s+by\s+/i },
+  { role: "translator",  regex: /\(\s*(?:trans|transl|tr|translators?|übers)\.?\s*\)|,\s*translators?$|^translated\s+by\s+/i },
+  { role: "contributor", regex: /\(\s*(?:foreword|introduction|intro|afterword|preface)\.?\s*\)|^(?:with\s+)?(?:an?\s+)?(?:foreword|introduction|afterword|preface)\s+by\s+/i },
+];
+
+// "et al.", "and others" and friends add no name
+const CREATOR_ET_AL_REGEX = /^(?:et\.?\s*al\.?|and\s+others|others|u\.\s*a\.|y\s+otros)$/i;
+
+// Names that belong to an organisation rather than a person. Words such as
+// "Press" or "Bank" are also surnames ("Gil Press"), so a name only counts
+// as an organisation when it has a company suffix, an "X of Y" phrase, or an
+// organisation word with enough words around it.
+//   "Acme Books, Inc."
+const CREATOR_CORPORATE_SUFFIX_REGEX = /(?:^|[\s,])(?:inc|ltd|llc|plc|corp|gmbh)\.?$/i;
+//   "University of Chicago", "Department of Health", "Editors of Time", "United Nations"
+const CREATOR_INSTITUTION_PHRASE_REGEX =
+  /\b(?:organi[sz]ation|association|institute|institution|university|universit[äé]t?|college|society|council|committee|commission|foundation|agency|department|ministry|bureau|federation|academy|office|board|centre|center|union|trust|bank|editors|staff)\s+(?:of|for|on|de|der|für)\s|\bunited\s+nations\b/i;
+//   "World Health Organization", "Brookings Institution" (one other word is enough)
+const CREATOR_INSTITUTION_WORD_REGEX =
+  /\b(?:organi[sz]ation|association|institute|institution|university|universit[äé]t?|society|council|committee|commission|foundation|agency|ministry|corporation|federation|academy)$/i;
+//   "Oxford University Press", "Boston Consulting Group" (two other words needed)
+const CREATOR_INSTITUTION_WEAK_WORD_REGEX =
+  /\b(?:press|group|publishing|publications|company|bank|office|centre|center|board|trust|union|staff|team|department|bureau)$/i;
+
+// Surname particles that stay with the last name: "Ursula K. Le Guin", "Ludwig van Beethoven"
+const CREATOR_PARTICLES = new Set([
+  "van", "von", "der", "den", "de", "del", "della", "di", "da", "du", "des",
+  "la", "le", "st.", "ten", "ter", "bin", "ibn", "al",
+]);
+
+// Generational suffixes: "King, Martin Luther, Jr."
+const CREATOR_SUFFIX_REGEX = /^(?:jr|sr|ii|iii|iv)\.?$/i;
+
+// File extensions left on sideloaded documents: "Thinking Fast and Slow.pdf"
+const TITLE_EXTENSION_REGEX = /\.(?:pdf|epub|mobi|azw\d?|kfx|prc|txt|rtf|docx?|html?|djvu|cb[rz])$/i;
+
+// Suffixes added by stores and download sites:
+//   "clean-code_EBOK", "Deep Work (z-lib.org)", "_OceanofPDF.com_Dune_-_Frank_Herbert"
+const TITLE_EBOK_REGEX = /[\s_-]+EBOK$/i;
+const TITLE_SOURCE_PREFIX_REGEX = /^_*OceanofPDF\.com_+/i;
+const TITLE_SOURCE_REGEX =
+  /^(?:z-?lib(?:rary)?(?:\.\w+)?|1lib(?:\.\w+)?|b-?ok(?:\.\w+)?|libgen(?:\.\w+)?|pdf ?drive(?:\.com)?|oceanofpdf(?:\.com)?|anna['’]?s archive|(?:www\.)?[\w-]+\.(?:com|org|net|cc|se|li|is))$/i;
+
+// Kindle ASINs ("B0" + 8 letters/digits) in sideloaded file names:
+//   "deep-work_B00X47ZVXM", "Deep Work - B00X47ZVXM", "B00X47ZVXM_EBOK"
+const TITLE_ASIN_REGEX = /(?:^|[\s_-]+[([]?)(B0[0-9A-Z]{8})[)\]]?$/;
+const TITLE_ASIN_ANYWHERE_REGEX = /(?:^|[\s_([-])(B0[0-9A-Z]{8})(?=$|[\s_)\].-])/;
+
+// Bracketed edition markers: "[Kindle Edition]", "(Revised and Updated Edition)", "(Unabridged)"
+// "ed." only counts after an ordinal ("(2nd ed.)"): an editor in an author
+// list is also "(ed.)", as in "Tolkien, Christopher (ed.)"
+const TITLE_EDITION_REGEX =
+  /\b(?:edition|kindle|e-?book|unabridged|abridged|illustrated|annotated|revised|updated|expanded|anniversary|reprint|\d+(?:st|nd|rd|th)\s+ed)\b/i;
+
+// Series and volume markers at the end of a title:
+//   "(The Expanse Book 1)", "(The Expanse, #3)", "[Book 3]", "(Vol. II)", "(Book 2 of The Expanse)"
+const TITLE_SERIES_REGEX =
+  /^(?:(.+?)[,:]?\s+)?(?:Book|Vol(?:ume)?\.?|No\.|#)\s*(\d+|[IVXLC]+)(?:\s+of\s+(?:the\s+)?(.+?))?$/i;
+
+// Reason codes for diagnostics, with the text shown for each
+const DIAGNOSTIC_REASONS = {
+  "bookmark":         "Bookmark (no text)",
+  "restricted":       "Publisher clipping limit reached",
+  "empty":            "No highlight or note text",
+  "malformed":        "Missing title or metadata line",
+  "unknown-metadata": "Metadata line not recognised",
+  "parse-error":      "Could not be parsed",
+};
 
 // ─── Public API ──────────────────────────────────────────────────────────────
 
@@ -61,27 +258,33 @@ const TITLE_AUTHOR_REGEX = /^(.*?)\s*\(([^)]+)\)\s*$/;
  * Parse the full text content of a My Clippings.txt file.
  *
  * @param {string} fileContent - Raw text content of the file
- * @returns {{ books: Map<string, Book>, skipped: number, errors: string[] }}
+ * @param {object}  [options]
+ * @param {boolean} [options.keepBookmarks=false] - Keep bookmarks as a third clip
+ *   type instead of skipping them
+ * @returns {{ books: Map<string, Book>, skipped: number, collapsed: number, errors: string[], diagnostics: Diagnostic[] }}
  */
-function parseClippings(fileContent) {
+function parseClippings(fileContent, options = {}) {
   // Kindle sometimes writes a UTF-8 BOM at the start — strip it.
   const cleaned = fileContent.replace(/^\uFEFF/, "");
 
   const rawEntries = cleaned.split(ENTRY_SEPARATOR);
 
   const books = new Map();
-  let skipped = 0;
-  const errors = [];
+  const log = createParseLog();
 
+  let lineNumber = 1; // line on which the current raw entry starts
   for (const rawEntry of rawEntries) {
+    const entryLine = lineNumber + countLines(rawEntry.slice(0, rawEntry.search(/\S|$/)));
+    lineNumber += countLines(rawEntry);
+
     const trimmed = rawEntry.trim();
     if (!trimmed) continue; // blank block at end of file
 
     try {
-      const result = parseEntry(trimmed);
+      const result = parseEntry(trimmed, options);
 
-      if (!result) {
-        skipped++;
+      if (result.skip) {
+        log.skip(result.skip, entryLine, trimmed);
         continue;
       }
 
@@ -92,8 +295,13 @@ function parseClippings(fileContent) {
           title: entryBook.title,
           rawTitle: entryBook.rawTitle,
           authors: entryBook.authors,
+          creators: entryBook.creators,
+          series: entryBook.series,
+          volume: entryBook.volume,
+          asin: entryBook.asin,
           highlights: [],
           notes: [],
+          bookmarks: [],
         });
       }
 
@@ -103,47 +311,172 @@ function parseClippings(fileContent) {
         book.highlights.push(clip);
       } else if (clip.type === "note") {
         book.notes.push(clip);
+      } else if (clip.type === "bookmark") {
+        book.bookmarks.push(clip); // only reached with keepBookmarks
       }
-      // Bookmarks are intentionally dropped
     } catch (err) {
-      errors.push(`Failed to parse entry: ${err.message}\nEntry was:\n${trimmed.slice(0, 200)}`);
+      log.error(err.message, entryLine, trimmed);
     }
   }
 
-  // Sort highlights within each book by location for cleaner note output
+  const collapsed = finalizeBooks(books);
+
+  return { books, collapsed, ...log.result() };
+}
+
+/**
+ * Collects skips and errors while a parser runs. Shared by every source
+ * parser so they all report diagnostics the same way.
+ *
+ *   const log = createParseLog();
+ *   log.skip("bookmark", 12, rawEntry);
+ *   log.error("Unrecognised heading", null, rawEntry);
+ *   return { books, collapsed, ...log.result() };
+ */
+function createParseLog() {
+  const diagnostics = [];
+  const errors = [];
+  let skipped = 0;
+
+  return {
+    skip(reason, line, raw) {
+      skipped++;
+      diagnostics.push({
+        line: line ?? null, severity: "skip", reason,
+        message: DIAGNOSTIC_REASONS[reason] || reason, raw: String(raw ?? ""),
+      });
+    },
+    error(message, line, raw) {
+      errors.push(`Failed to parse entry: ${message}\nEntry was:\n${String(raw ?? "").slice(0, 200)}`);
+      diagnostics.push({
+        line: line ?? null, severity: "error", reason: "parse-error",
+        message, raw: String(raw ?? ""),
+      });
+    },
+    result() {
+      return { skipped, errors, diagnostics };
+    },
+  };
+}
+
+/**
+ * Post-processing shared by every source parser, run once all entries have
+ * been grouped into books:
+ *   - drop highlights that were later extended or re-selected
+ *   - sort clips by location for cleaner note output
+ *   - link notes to the highlight they annotate
+ * Collapsing runs first: it relies on file order to break date ties.
+ *
+ * @param {Map<string, Book>} books - Mutated in place
+ * @returns {number} How many superseded highlights were collapsed
+ */
+function finalizeBooks(books) {
+  let collapsed = 0;
   for (const book of books.values()) {
+    const result = collapseSupersededHighlights(book.highlights);
+    book.highlights = result.highlights;
+    collapsed += result.collapsed;
+
     book.highlights.sort(compareByLocation);
     book.notes.sort(compareByLocation);
+    if (!book.bookmarks) book.bookmarks = [];
+    book.bookmarks.sort(compareByLocation);
+    attachNotesToHighlights(book);
   }
+  return collapsed;
+}
 
-  return { books, skipped, errors };
+/**
+ * Combine several parsed books that are the same book under different
+ * titles, editions or author spellings (see matcher.js findDuplicateBooks())
+ * into one.
+ *
+ * The book with the most clips supplies the title, authors and other
+ * details; identifiers missing from it are taken from the others. Clips are
+ * pooled: a highlight whose text is already present, a note with the same
+ * text at the same location, or a bookmark at the same location is dropped,
+ * and then the pool is finalized like a freshly parsed book.
+ *
+ * @param {Book[]} books - Two or more books, in the order they were parsed
+ * @returns {Book} A new book; the given books are left as they were
+ */
+function mergeBooks(books) {
+  const clipCount = (b) => b.highlights.length + b.notes.length + (b.bookmarks || []).length;
+  const primary = books.reduce((best, b) => (clipCount(b) > clipCount(best) ? b : best));
+
+  const merged = { ...primary, highlights: [], notes: [], bookmarks: [] };
+  for (const field of ["isbn", "asin", "sourceUrl"]) {
+    if (!merged[field]) merged[field] = books.map((b) => b[field]).find(Boolean) || merged[field];
+  }
+
+  // Clip key → the copy kept in the merged book, and source clip → that copy
+  const kept = new Map();
+  const copies = new Map();
+  const addClip = (list, clip, key) => {
+    if (!kept.has(key)) {
+      kept.set(key, { ...clip });
+      list.push(kept.get(key));
+    }
+    copies.set(clip, kept.get(key));
+  };
+
+  for (const book of books) {
+    for (const clip of book.highlights) {
+      addClip(merged.highlights, clip, `highlight:${normalizeClipText(clip.text)}`);
+    }
+    for (const clip of book.notes) {
+      addClip(merged.notes, clip, `note:${clip.locationStart ?? clip.page}:${normalizeClipText(clip.text)}`);
+    }
+    for (const clip of book.bookmarks || []) {
+      addClip(merged.bookmarks, clip, `bookmark:${clip.locationStart ?? clip.page}`);
+    }
+  }
+
+  // Point copied notes at the copies of their highlights
+  for (const note of merged.notes) note.parentHighlight = copies.get(note.parentHighlight) || null;
+
+  finalizeBooks(new Map([["merged", merged]]));
+  return merged;
 }
 
 // ─── Internal Helpers ────────────────────────────────────────────────────────
 
 /**
  * Parse a single clipping entry block (the text between two "==========" lines).
- * Returns null if the entry should be skipped (bookmark, restricted, empty).
+ * Returns { skip: reason } if the entry should be skipped (restricted, empty,
+ * malformed, or a bookmark when options.keepBookmarks is off).
  */
-function parseEntry(entryText) {
+function parseEntry(entryText, options = {}) {
   // Split into lines, drop empty lines at top/bottom
   const lines = entryText.split(/\r?\n/).map((l) => l.trim());
   const nonEmpty = lines.filter((l) => l.length > 0);
 
-  if (nonEmpty.length < 2) return null; // malformed — need at least title + metadata
+  if (nonEmpty.length < 2) return { skip: "malformed" }; // need at least title + metadata
 
   const titleLine = nonEmpty[0];
   const metaLine = nonEmpty[1];
 
   // ── Parse title/author ──────────────────────────────────────────────────
-  const { title, rawTitle, authors } = parseTitleLine(titleLine);
+  const book = parseTitleLine(titleLine);
+  const bookKey = makeBookKey(book.title, book.authors, book.volume);
 
   // ── Parse metadata line ─────────────────────────────────────────────────
   const meta = parseMetaLine(metaLine);
-  if (!meta) return null; // couldn't parse metadata — skip
+  if (!meta) return { skip: "unknown-metadata" };
 
-  // Skip bookmarks entirely
-  if (meta.type === "bookmark") return null;
+  // Bookmarks carry no text — keep them only when asked to
+  if (meta.type === "bookmark") {
+    if (!options.keepBookmarks) return { skip: "bookmark" };
+    const clip = {
+      type: "bookmark",
+      page: meta.page,
+      locationStart: meta.locationStart,
+      locationEnd: null,
+      dateAdded: meta.dateAdded,
+      text: "",
+    };
+    return { bookKey, book, clip };
+  }
 
   // ── Parse highlight/note text ───────────────────────────────────────────
   // Everything after the metadata line and the blank line following it
@@ -151,10 +484,10 @@ function parseEntry(entryText) {
   const text = textLines.join(" ").trim();
 
   // Kindle exports a placeholder when publisher restricts copying
-  if (isRestrictedPlaceholder(text)) return null;
+  if (isRestrictedPlaceholder(text)) return { skip: "restricted" };
 
   // Skip if no actual text (e.g., empty note)
-  if (!text) return null;
+  if (!text) return { skip: "empty" };
 
   // ── Build clip object ───────────────────────────────────────────────────
   const clip = {
@@ -166,9 +499,7 @@ function parseEntry(entryText) {
     text,
   };
 
-  const bookKey = makeBookKey(title, authors);
-
-  return { bookKey, book: { title, rawTitle, authors }, clip };
+  return { bookKey, book, clip };
 }
 
 /**
@@ -177,62 +508,219 @@ function parseEntry(entryText) {
 function parseTitleLine(line) {
   const rawTitle = line;
 
-  const match = line.match(TITLE_AUTHOR_REGEX);
-  if (!match) {
-    // No author info — just a title
-    return { title: normalizeTitle(line), rawTitle, authors: [] };
+  // Download-site suffixes come after the author: "Deep Work (Cal Newport) (z-lib.org)"
+  const normalized = normalizeTitle(line);
+  const stripped = stripTitleNoise(normalized);
+
+  // The last parenthetical is the author, unless it is really a series or
+  // edition marker: "Leviathan Wakes (The Expanse Book 1)"
+  const match = splitTitleAndAuthor(stripped);
+  if (!match || isTitleMarker(match.authorPart)) {
+    // No author info — just a title. cleanTitle() strips the noise itself,
+    // and needs to see it to know "clean-code_EBOK" is a file name.
+    return { ...cleanTitle(normalized), asin: findTitleASIN(line), rawTitle, authors: [], creators: [] };
   }
 
-  const titlePart = match[1].trim();
-  const authorPart = match[2].trim();
+  const { titlePart, authorPart } = match;
+
+  const creators = parseCreators(authorPart);
+  const authors = creators.map(creatorName);
+
+  // Give the title back the noise that followed the author, for the same reason
+  const noise = normalized.startsWith(stripped) ? normalized.slice(stripped.length) : "";
 
-  const title = normalizeTitle(titlePart);
-  const authors = parseAuthors(authorPart);
+  return { ...cleanTitle(titlePart + noise), asin: findTitleASIN(line), rawTitle, authors, creators };
+}
+
+/**
+ * Split the title line at its last top-level parenthetical, e.g.:
+ *   "The Pragmatic Programmer (David Thomas;Andrew Hunt)"
+ *   "Thinking, Fast and Slow (Kahneman, Daniel)"
+ *   "The Silmarillion (Tolkien, J. R. R.; Tolkien, Christopher (ed.))"
+ * Returns null for a line with no author ("A Book With No Author Shown").
+ */
+function splitTitleAndAuthor(line) {
+  if (!line.endsWith(")")) return null;
 
-  return { title, rawTitle, authors };
+  let depth = 0;
+  for (let i = line.length - 1; i >= 0; i--) {
+    if (line[i] === ")") depth++;
+    else if (line[i] === "(" && --depth === 0) {
+      const authorPart = line.slice(i + 1, -1).trim();
+      return authorPart ? { titlePart: line.slice(0, i).trim(), authorPart } : null;
+    }
+  }
+  return null;
 }
 
 /**
  * Parse the metadata line (second line of a clipping entry).
- * Returns null if the line doesn't match the expected format.
+ * Tries each locale in METADATA_LOCALES until one recognises the clip type.
+ * Returns null if the line doesn't match any known format.
  */
 function parseMetaLine(line) {
-  const match = line.match(METADATA_REGEX);
-  if (!match) return null;
+  for (const locale of METADATA_LOCALES) {
+    const typeMatch = line.match(locale.type);
+    if (!typeMatch) continue;
 
-  const [, typeStr, pageStr, locStartStr, locEndStr, dateStr] = match;
+    const pageMatch  = line.match(locale.page);
+    const locMatch   = line.match(locale.location);
+    const addedMatch = line.match(locale.added);
 
-  return {
-    type: typeStr.toLowerCase(), // "highlight", "note", or "bookmark"
-    page: pageStr ? parseInt(pageStr, 10) : null,
-    locationStart: locStartStr ? parseInt(locStartStr, 10) : null,
-    locationEnd: locEndStr ? parseInt(locEndStr, 10) : null,
-    dateAdded: dateStr ? parseDateString(dateStr.trim()) : null,
-  };
+    return {
+      type: locale.types[typeMatch[1].toLowerCase()], // "highlight", "note", or "bookmark"
+      page: pageMatch ? parseInt(pageMatch[1], 10) : null,
+      locationStart: locMatch ? parseInt(locMatch[1], 10) : null,
+      locationEnd: locMatch && locMatch[2] ? parseInt(locMatch[2], 10) : null,
+      dateAdded: addedMatch ? parseDateString(addedMatch[1].trim(), locale.lang) : null,
+    };
+  }
+  return null;
 }
 
 /**
- * Parse the author string from inside the parentheses.
+ * Parse an author string into structured creators.
  * Handles:
- *   "David Thomas;Andrew Hunt"          → ["David Thomas", "Andrew Hunt"]
- *   "Kahneman, Daniel"                  → ["Daniel Kahneman"]
- *   "Kahneman, Daniel;Thaler, Richard"  → ["Daniel Kahneman", "Richard Thaler"]
+ *   "David Thomas;Andrew Hunt"          → David Thomas, Andrew Hunt
+ *   "Kahneman, Daniel;Thaler, Richard"  → Daniel Kahneman, Richard Thaler
+ *   "Hunt, Andrew, Thomas, David"       → Andrew Hunt, David Thomas (inverted pairs)
+ *   "Andrew Hunt, David Thomas"         → Andrew Hunt, David Thomas (natural order)
+ *   "Smith J.; et al."                  → J. Smith ("et al." dropped)
+ *   "Tolkien, J. R. R. (ed.)"           → J. R. R. Tolkien, role "editor"
+ *   "World Health Organization"         → one institutional creator
+ *
+ * @param {string} authorStr
+ * @returns {Creator[]}
+ */
+function parseCreators(authorStr) {
+  const creators = [];
+
+  for (const segment of authorStr.split(";")) {
+    let text = segment.replace(/\s+/g, " ").trim();
+    if (!text || CREATOR_ET_AL_REGEX.test(text)) continue;
+
+    // A role applies to every name in the segment: "Edited by A and B"
+    let role = "author";
+    for (const pattern of CREATOR_ROLE_PATTERNS) {
+      if (pattern.regex.test(text)) {
+        role = pattern.role;
+        text = text.replace(pattern.regex, "").trim();
+        break;
+      }
+    }
+    text = text.replace(/,?\s*et\.?\s*al\.?$/i, "").trim();
+    if (!text) continue;
+
+    if (isInstitutionName(text)) {
+      creators.push({ firstName: "", lastName: text, role, isInstitution: true });
+      continue;
+    }
+
+    for (const name of splitCreatorNames(text)) {
+      creators.push({ ...name, role, isInstitution: false });
+    }
+  }
+
+  return creators;
+}
+
+/**
+ * True if a name segment names an organisation. A "Last, First" pair never
+ * does: "Press, Gil" is a person.
+ */
+function isInstitutionName(text) {
+  if (CREATOR_CORPORATE_SUFFIX_REGEX.test(text)) return true;
+
+  const parts = text.split(/\s*,\s*/);
+  if (parts.length % 2 === 0 && parts.every((part, i) => i % 2 === 1 || isSurname(part))) return false;
+  if (CREATOR_INSTITUTION_PHRASE_REGEX.test(text)) return true;
+
+  return parts.some((part) => {
+    const words = part.split(" ").length;
+    return (words >= 2 && CREATOR_INSTITUTION_WORD_REGEX.test(part)) ||
+           (words >= 3 && CREATOR_INSTITUTION_WEAK_WORD_REGEX.test(part));
+  });
+}
+
+/** Display name of a creator: "First Last", or the institution's name. */
+function creatorName(creator) {
+  return creator.isInstitution
+    ? creator.lastName
+    : [creator.firstName, creator.lastName].filter(Boolean).join(" ");
+}
+
+/**
+ * Split one ";"-free segment into names. Commas either separate authors
+ * ("Andrew Hunt, David Thomas") or invert one name ("Hunt, Andrew"); the
+ * parts are read as Last/First pairs when every other part is a surname.
  */
-function parseAuthors(authorStr) {
-  const rawAuthors = authorStr.split(";").map((a) => a.trim()).filter(Boolean);
-  return rawAuthors.map(normalizeAuthorName);
+function splitCreatorNames(text) {
+  const parts = [];
+  for (const part of text.split(/\s*,\s*|\s+(?:and|&)\s+/i)) {
+    if (!part) continue;
+    if (CREATOR_SUFFIX_REGEX.test(part) && parts.length > 0) {
+      parts[parts.length - 1] += ` ${part}`; // keep "Jr." with the name before it
+    } else {
+      parts.push(part);
+    }
+  }
+
+  const inverted = parts.length % 2 === 0 &&
+    parts.every((part, i) => i % 2 === 1 || isSurname(part));
+  if (inverted) {
+    const names = [];
+    for (let i = 0; i < parts.length; i += 2) {
+      // "King, Martin Luther, Jr." — the suffix belongs after the surname
+      const [, first, suffix] = parts[i + 1].match(/^(.*?)((?:\s+(?:jr|sr|ii|iii|iv)\.?)?)$/i);
+      names.push({ firstName: first, lastName: parts[i] + suffix });
+    }
+    return names;
+  }
+
+  return parts.map(splitNaturalName);
 }
 
 /**
- * Convert "Last, First" to "First Last". Pass through "First Last" unchanged.
+ * "Ursula K. Le Guin" → { firstName: "Ursula K.", lastName: "Le Guin" }.
+ * A name whose trailing words are all initials is written surname-first
+ * without a comma: "Smith J." → { firstName: "J.", lastName: "Smith" }.
  */
-function normalizeAuthorName(name) {
-  const commaIndex = name.indexOf(",");
-  if (commaIndex === -1) return name.trim();
+function splitNaturalName(name) {
+  const words = name.split(" ");
+  let suffix = "";
+  if (words.length > 2 && CREATOR_SUFFIX_REGEX.test(words[words.length - 1])) {
+    suffix = ` ${words.pop()}`;
+  }
+  if (words.length === 1) return { firstName: "", lastName: words[0] + suffix };
 
-  const last = name.slice(0, commaIndex).trim();
-  const first = name.slice(commaIndex + 1).trim();
-  return first ? `${first} ${last}` : last;
+  const isInitial = (w) => /^(?:[A-Z]\.)+$|^[A-Z]$/.test(w);
+  let initials = 0;
+  while (initials < words.length - 1 && isInitial(words[words.length - 1 - initials])) initials++;
+  if (initials > 0 && !isInitial(words[0])) {
+    return {
+      firstName: words.slice(words.length - initials).join(" "),
+      lastName:  words.slice(0, words.length - initials).join(" ") + suffix,
+    };
+  }
+
+  // Pull lowercase particles (and a capitalised one directly before the
+  // surname, as in "Le Guin") into the last name
+  let start = words.length - 1;
+  while (start > 1 && CREATOR_PARTICLES.has(words[start - 1].toLowerCase()) &&
+         (words[start - 1] === words[start - 1].toLowerCase() || start === words.length - 1)) {
+    start--;
+  }
+  return {
+    firstName: words.slice(0, start).join(" "),
+    lastName:  words.slice(start).join(" ") + suffix,
+  };
+}
+
+/** True if a comma-separated part can be a surname on its own: "Hunt", "van der Berg", "Le Guin". */
+function isSurname(part) {
+  const words = part.split(" ");
+  if (words.length === 1) return !/^(?:[A-Z]\.)+$/.test(part);
+  return words.slice(0, -1).every((w) => CREATOR_PARTICLES.has(w.toLowerCase()));
 }
 
 /**
@@ -249,29 +737,199 @@ function normalizeTitle(title) {
     .trim();
 }
 
+/**
+ * Clean a book title for matching, keeping series information:
+ * - Remove file extensions and download-site suffixes ("_EBOK", "(z-lib.org)")
+ * - Turn file-name separators into spaces ("clean-code_EBOK" → "clean code")
+ * - Remove bracketed edition markers ("[Kindle Edition]")
+ * - Pull a trailing series/volume marker into its own fields
+ * - Pull an ASIN out of a sideloaded file name ("deep-work_B00X47ZVXM")
+ *
+ * Falls back to the lightly normalized title if cleaning would leave nothing.
+ *
+ * @param {string} title
+ * @returns {{ title: string, series: string|null, volume: number|null, asin: string|null }}
+ */
+function cleanTitle(title) {
+  const original = normalizeTitle(title);
+  let cleaned = stripTitleNoise(original);
+
+  // File names use "_" (and "-" when there are no spaces) between words
+  if ((cleaned !== original && /^\S+$/.test(cleaned)) || cleaned.includes("_")) {
+    cleaned = cleaned.replace(/_+/g, " ");
+    if (!/\s/.test(cleaned)) cleaned = cleaned.replace(/-+/g, " ");
+  }
+
+  cleaned = cleaned.replace(/\s*[([]([^()[\]]*)[)\]]/g, (group, inner) =>
+    TITLE_EDITION_REGEX.test(inner) ? "" : group);
+
+  let series = null;
+  let volume = null;
+  const marker = cleaned.match(/^(.*?)\s*[([]([^()[\]]+)[)\]]$/) ||
+                 cleaned.match(/^(.*?),\s+((?:Book|Vol(?:ume)?\.?)\s*(?:\d+|[IVXLC]+))$/i);
+  const seriesMatch = marker && marker[1] && marker[2].trim().match(TITLE_SERIES_REGEX);
+  if (seriesMatch) {
+    cleaned = marker[1];
+    // A bare volume marker numbers the title itself: "The Expanse [Book 3]"
+    series  = (seriesMatch[1] || seriesMatch[3] || marker[1]).trim() || null;
+    volume  = parseVolumeNumber(seriesMatch[2]);
+  }
+
+  cleaned = normalizeTitle(cleaned.replace(/[\s:;,.–—-]+$/, ""));
+  return { title: cleaned || original, series, volume, asin: findTitleASIN(title) };
+}
+
+/**
+ * Remove file extensions, download-site suffixes and ASINs, repeatedly, since
+ * they stack: "Deep Work (z-lib.org).epub".
+ */
+function stripTitleNoise(title) {
+  let current = title;
+  for (;;) {
+    const next = current
+      .replace(TITLE_SOURCE_PREFIX_REGEX, "")
+      .replace(TITLE_EXTENSION_REGEX, "")
+      .replace(TITLE_EBOK_REGEX, "")
+      // A title that is nothing but an ASIN ("B00X47ZVXM_EBOK") keeps it
+      .replace(TITLE_ASIN_REGEX, (match, asin, offset) => (offset === 0 ? asin : ""))
+      .replace(/\s*[([]([^()[\]]+)[)\]]\s*$/, (group, inner) =>
+        TITLE_SOURCE_REGEX.test(inner.trim()) ? "" : group)
+      .trim();
+    if (next === current) return current;
+    current = next;
+  }
+}
+
+/** The Kindle ASIN in a title or file name, if any. */
+function findTitleASIN(title) {
+  const match = String(title || "").match(TITLE_ASIN_ANYWHERE_REGEX);
+  return match ? match[1] : null;
+}
+
+/** True if a parenthetical is a series, volume or edition marker rather than an author. */
+function isTitleMarker(text) {
+  return TITLE_SERIES_REGEX.test(text) || TITLE_EDITION_REGEX.test(text);
+}
+
+/** "3" → 3, "IV" → 4. */
+function parseVolumeNumber(str) {
+  if (/^\d+$/.test(str)) return parseInt(str, 10);
+
+  const values = { I: 1, V: 5, X: 10, L: 50, C: 100 };
+  const digits = str.toUpperCase().split("").map((c) => values[c]);
+  let total = 0;
+  for (let i = 0; i < digits.length; i++) {
+    total += digits[i] < (digits[i + 1] || 0) ? -digits[i] : digits[i];
+  }
+  return total || null;
+}
+
 /**
  * Build a stable, lowercase key for deduplicating books.
  * Uses "title::author1,author2" to avoid collisions between different books
- * by different authors that happen to share a title.
+ * by different authors that happen to share a title. Numbered volumes whose
+ * cleaned titles are the same ("The Expanse [Book 3]") get a "::volume" suffix.
  */
-function makeBookKey(title, authors) {
+function makeBookKey(title, authors, volume) {
   const titleKey = title.toLowerCase().replace(/\s+/g, " ").trim();
   const authorKey = authors.map((a) => a.toLowerCase()).sort().join(",");
-  return `${titleKey}::${authorKey}`;
+  return volume ? `${titleKey}::${authorKey}::${volume}` : `${titleKey}::${authorKey}`;
 }
 
 /**
- * Parse Kindle's date string format:
+ * Keys the book had before titles were cleaned: the raw title, lightly
+ * normalized, without a volume suffix. For a "Title (Author)" clippings
+ * line, the title part alone. Notes written by earlier versions store
+ * these keys in their fingerprint, so they are still recognised.
+ *
+ * @param {Book} book
+ * @returns {string[]} Keys differing from the current one; may be empty
+ */
+function getLegacyBookKeys(book) {
+  if (!book.rawTitle) return [];
+
+  const titles = [normalizeTitle(book.rawTitle)];
+  const match = splitTitleAndAuthor(titles[0]);
+  if (match) titles.push(match.titlePart);
+
+  const current = makeBookKey(book.title, book.authors, book.volume);
+  const keys = titles.map((title) => makeBookKey(title, book.authors));
+  return [...new Set(keys)].filter((key) => key !== current);
+}
+
+/**
+ * Parse a Kindle date string in any of the supported UI languages:
  *   "Sunday, January 5, 2025 9:14:32 AM"
- * Returns a Date object, or null if parsing fails.
+ *   "Sonntag, 5. Januar 2025 09:14:32"
+ *   "domingo, 5 de enero de 2025 9:14:32"
+ *   "2025年1月5日星期日 上午9:14:32"
+ * `lang` is the locale detected from the metadata line; when it is omitted
+ * (or its month names don't match) every locale's month names are tried.
+ * Returns a Date object in local time, or null if parsing fails.
  */
-function parseDateString(dateStr) {
+function parseDateString(dateStr, lang) {
+  const time = parseTimeOfDay(dateStr);
+
+  // ── CJK: "2025年1月5日" ────────────────────────────────────────────────────
+  const cjk = dateStr.match(/(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/);
+  if (cjk) {
+    return makeDate(+cjk[1], +cjk[2] - 1, +cjk[3], time);
+  }
+
+  // ── Month-name formats ───────────────────────────────────────────────────
+  const words = dateStr.toLowerCase().match(/[a-zà-ÿ]+/g) || [];
+  const langs = [lang, ...Object.keys(MONTH_NAMES).filter((l) => l !== lang)]
+    .filter((l) => MONTH_NAMES[l]);
+
+  for (const l of langs) {
+    const month = words.findIndex((w) => MONTH_NAMES[l].includes(w));
+    if (month === -1) continue;
+
+    // Remove the time first so its digits aren't taken for the day or year
+    const withoutTime = dateStr.replace(/\d{1,2}:\d{2}(?::\d{2})?/, " ");
+    const year = withoutTime.match(/\b(\d{4})\b/);
+    const day  = withoutTime.match(/\b(\d{1,2})\b/);
+    if (!year || !day) continue;
+
+    return makeDate(+year[1], MONTH_NAMES[l].indexOf(words[month]), +day[1], time);
+  }
+
+  // ── Fallback: let Date have a go (other English variants) ───────────────
   // Remove the day-of-week prefix ("Sunday, ") since Date.parse doesn't need it
   const withoutDayOfWeek = dateStr.replace(/^[A-Za-z]+,\s*/, "");
   const parsed = new Date(withoutDayOfWeek);
   return isNaN(parsed.getTime()) ? null : parsed;
 }
 
+/**
+ * Extract { hours, minutes, seconds } from a date string, honouring
+ * AM/PM markers in English, Chinese (上午/下午) and Japanese (午前/午後).
+ * Returns midnight if no time is present.
+ */
+function parseTimeOfDay(dateStr) {
+  const match = dateStr.match(/(上午|下午|午前|午後)?\s*(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp]\.?[Mm]\.?)?/);
+  if (!match) return { hours: 0, minutes: 0, seconds: 0 };
+
+  const [, cjkMarker, h, m, sec, ampm] = match;
+  let hours = parseInt(h, 10);
+  const isPM = (ampm && /^p/i.test(ampm)) || cjkMarker === "下午" || cjkMarker === "午後";
+  const isAM = (ampm && /^a/i.test(ampm)) || cjkMarker === "上午" || cjkMarker === "午前";
+  if (isPM && hours < 12) hours += 12;
+  if (isAM && hours === 12) hours = 0;
+
+  return { hours, minutes: parseInt(m, 10), seconds: sec ? parseInt(sec, 10) : 0 };
+}
+
+function makeDate(year, monthIndex, day, { hours, minutes, seconds }) {
+  const date = new Date(year, monthIndex, day, hours, minutes, seconds);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/** Number of line breaks in a string. */
+function countLines(text) {
+  return (text.match(/\r\n|\r|\n/g) || []).length;
+}
+
 /**
  * Kindle uses this exact string when a publisher has restricted copying.
  */
@@ -280,6 +938,98 @@ function isRestrictedPlaceholder(text) {
     /you\s+have\s+reached\s+the\s+clipping\s+limit/i.test(text);
 }
 
+/**
+ * When a highlight is lengthened or shortened on the Kindle, My Clippings.txt
+ * keeps both the old and the new entry. Two highlights are treated as versions
+ * of the same one when their location ranges overlap and the text of one is
+ * contained in the other; only the newest version is kept.
+ *
+ * "Newest" is decided by dateAdded, falling back to file order (Kindle appends
+ * to the file, so later entries are newer).
+ *
+ * @param {Highlight[]} highlights - In file order
+ * @returns {{ highlights: Highlight[], collapsed: number }}
+ */
+function collapseSupersededHighlights(highlights) {
+  const superseded = new Set();
+
+  for (let i = 0; i < highlights.length; i++) {
+    for (let j = i + 1; j < highlights.length; j++) {
+      if (superseded.has(i) || superseded.has(j)) continue;
+
+      const a = highlights[i];
+      const b = highlights[j];
+      if (!rangesOverlap(a, b)) continue;
+
+      const aText = normalizeClipText(a.text);
+      const bText = normalizeClipText(b.text);
+      if (!aText.includes(bText) && !bText.includes(aText)) continue;
+
+      superseded.add(isNewerClip(a, b) ? j : i);
+    }
+  }
+
+  return {
+    highlights: highlights.filter((_, i) => !superseded.has(i)),
+    collapsed: superseded.size,
+  };
+}
+
+/**
+ * Link each note to the highlight it annotates. Kindle records a note at the
+ * location where its highlight ends, so a highlight whose range ends at the
+ * note's location is the parent; failing that, one whose range contains it.
+ * When several qualify, the most recently added highlight wins.
+ * Notes with no parent keep `parentHighlight: null` and render on their own.
+ * Notes a source parser has already linked (e.g. from the export's own
+ * structure) are left as they are.
+ *
+ * @param {Book} book - highlights and notes already collapsed and sorted
+ */
+function attachNotesToHighlights(book) {
+  for (const note of book.notes) {
+    if (note.parentHighlight && book.highlights.includes(note.parentHighlight)) continue;
+    note.parentHighlight = null;
+    if (note.locationStart == null) continue;
+
+    const loc = note.locationStart;
+    const endsAt = book.highlights.filter((h) =>
+      (h.locationEnd ?? h.locationStart) === loc);
+    const contains = book.highlights.filter((h) =>
+      h.locationStart != null && h.locationStart <= loc && loc <= (h.locationEnd ?? h.locationStart));
+
+    const candidates = endsAt.length > 0 ? endsAt : contains;
+    if (candidates.length === 0) continue;
+
+    note.parentHighlight = candidates.reduce((best, h) =>
+      h.dateAdded && (!best.dateAdded || h.dateAdded > best.dateAdded) ? h : best);
+  }
+}
+
+/**
+ * True if two clips' location ranges overlap. Clips without locations fall
+ * back to their page number; clips with neither never overlap.
+ */
+function rangesOverlap(a, b) {
+  const aStart = a.locationStart ?? a.page;
+  const bStart = b.locationStart ?? b.page;
+  if (aStart == null || bStart == null) return false;
+
+  const aEnd = a.locationStart != null ? (a.locationEnd ?? a.locationStart) : aStart;
+  const bEnd = b.locationStart != null ? (b.locationEnd ?? b.locationStart) : bStart;
+  return aStart <= bEnd && bStart <= aEnd;
+}
+
+/** True if `a` is newer than `b`, which appears after it in the file. */
+function isNewerClip(a, b) {
+  if (a.dateAdded && b.dateAdded) return a.dateAdded > b.dateAdded;
+  return false;
+}
+
+function normalizeClipText(text) {
+  return text.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
 /**
  * Comparator for sorting clips by location within a book.
  */
@@ -295,25 +1045,35 @@ function compareByLocation(a, b) {
  * Returns a human-readable summary of a parse result.
  * Useful for logging and the UI confirmation step.
  *
- * @param {{ books: Map, skipped: number, errors: string[] }} parseResult
+ * @param {{ books: Map, skipped: number, collapsed?: number, errors: string[], diagnostics?: Diagnostic[] }} parseResult
  * @returns {string}
  */
-function summarizeParseResult({ books, skipped, errors }) {
+function summarizeParseResult({ books, skipped, collapsed = 0, errors, diagnostics = [] }) {
   let totalHighlights = 0;
   let totalNotes = 0;
+  let totalBookmarks = 0;
 
   for (const book of books.values()) {
     totalHighlights += book.highlights.length;
     totalNotes += book.notes.length;
+    totalBookmarks += (book.bookmarks || []).length;
   }
 
   const lines = [
     `📚 Books found:       ${books.size}`,
     `🖊  Highlights found:  ${totalHighlights}`,
     `📝 Notes found:       ${totalNotes}`,
-    `⏭  Skipped entries:   ${skipped} (bookmarks, restricted, empty)`,
+    `⏭  Skipped entries:   ${skipped} (${describeSkips(diagnostics) || "bookmarks, restricted, empty"})`,
   ];
 
+  if (totalBookmarks > 0) {
+    lines.push(`🔖 Bookmarks found:   ${totalBookmarks}`);
+  }
+
+  if (collapsed > 0) {
+    lines.push(`🔁 Collapsed edits:   ${collapsed} (superseded by an extended or re-selected highlight)`);
+  }
+
   if (errors.length > 0) {
     lines.push(`⚠️  Parse errors:      ${errors.length}`);
   }
@@ -321,11 +1081,52 @@ function summarizeParseResult({ books, skipped, errors }) {
   return lines.join("\n");
 }
 
+/** "3 bookmark, 1 restricted" — skip counts by reason code. */
+function describeSkips(diagnostics) {
+  const counts = new Map();
+  for (const d of diagnostics) {
+    if (d.severity === "skip") counts.set(d.reason, (counts.get(d.reason) || 0) + 1);
+  }
+  return [...counts].map(([reason, n]) => `${n} ${reason}`).join(", ");
+}
+
+/**
+ * Plain-text report of a parse's diagnostics, for saving to a file.
+ *
+ * @param {Diagnostic[]} diagnostics
+ * @param {string} [sourceName] - File or folder the entries came from
+ * @returns {string}
+ */
+function formatDiagnostics(diagnostics, sourceName) {
+  const lines = [`Kindle Importer parse diagnostics${sourceName ? ` — ${sourceName}` : ""}`, ""];
+  for (const d of diagnostics) {
+    const where = d.line ? `Line ${d.line}` : "Entry";
+    lines.push(`${where} [${d.severity}: ${d.reason}] ${d.message}`);
+    lines.push(d.raw.replace(/\r\n?/g, "\n"), ENTRY_SEPARATOR);
+  }
+  if (diagnostics.length === 0) lines.push("No entries were skipped and no errors occurred.");
+  return lines.join("\n");
+}
+
 // ─── Exports ─────────────────────────────────────────────────────────────────
 
 // In Zotero plugin context these will be accessed as module properties.
 // The bootstrap.js will import this file and expose these functions.
-var KindleParser = { parseClippings, summarizeParseResult };
+var KindleParser = {
+  parseClippings,
+  summarizeParseResult,
+  formatDiagnostics,
+  mergeBooks,
+  getLegacyBookKeys,
+  DIAGNOSTIC_REASONS,
+  // Shared with the other source parsers (notebookParser.js, koboParser.js, …)
+  _finalizeBooks:   finalizeBooks,
+  _createParseLog:  createParseLog,
+  _makeBookKey:     makeBookKey,
+  _cleanTitle:      cleanTitle,
+  _parseCreators:   parseCreators,
+  _creatorName:     creatorName,
+};
 
 // CommonJS export for testing outside Zotero (node parser.test.js)
 if (typeof module !== "undefined" && module.exports) {
@@ -0,0 +1,195 @@
+/**
+ * readwiseParser.js
+ * Parses a Readwise CSV export into the same structure as parser.js.
+ *
+ * The export has one row per highlight, with a header row like:
+ *   Highlight,Book Title,Book Author,Amazon Book ID,Note,Color,Tags,
+ *   Location Type,Location,Highlighted at,Document tags
+ * Some exports also carry the book's source URL ("Source URL" / "URL").
+ *
+ * Output shape: identical to parseClippings() — { books, skipped, collapsed, errors, diagnostics }.
+ * Books gain the identifiers Readwise knows about:
+ * {
+ *   asin:      string|null,   // from "Amazon Book ID"
+ *   sourceUrl: string|null    // from "Source URL", when present
+ * }
+ */
+
+"use strict";
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+// Header names we read, lowercased. The first one present wins.
+const READWISE_COLUMNS = {
+  text:       ["highlight"],
+  title:      ["book title", "title"],
+  author:     ["book author", "author"],
+  asin:       ["amazon book id"],
+  note:       ["note"],
+  color:      ["color"],
+  locType:    ["location type"],
+  location:   ["location"],
+  date:       ["highlighted at"],
+  sourceUrl:  ["source url", "url", "book url"],
+};
+
+// Parser helpers shared with parser.js. Inside Zotero both files are loaded
+// into the same scope by bootstrap.js; under Node we require it.
+const ReadwiseParserHelpers =
+  typeof KindleParser !== "undefined" ? KindleParser : require("./parser.js");
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * True if the file content looks like a Readwise CSV export.
+ *
+ * @param {string} content
+ * @returns {boolean}
+ */
+function isReadwiseCSV(content) {
+  const header = content.replace(/^\uFEFF/, "").split(/\r?\n/, 1)[0].toLowerCase();
+  return header.includes("highlight") && header.includes("book title");
+}
+
+/**
+ * Parse the full text content of a Readwise CSV export.
+ *
+ * @param {string} content - Raw CSV text
+ * @returns {{ books: Map<string, Book>, skipped: number, collapsed: number, errors: string[], diagnostics: Diagnostic[] }}
+ */
+function parseReadwiseCSV(content) {
+  const books = new Map();
+  const log = ReadwiseParserHelpers._createParseLog();
+
+  const rows = parseCSV(content.replace(/^\uFEFF/, ""));
+  const header = (rows.shift() || []).map((h) => h.trim().toLowerCase());
+
+  const col = {};
+  for (const [field, names] of Object.entries(READWISE_COLUMNS)) {
+    col[field] = names.map((n) => header.indexOf(n)).find((i) => i !== -1) ?? -1;
+  }
+  if (col.text === -1 || col.title === -1) {
+    log.error("Missing \"Highlight\" or \"Book Title\" column", 1, header.join(","));
+    return { books, collapsed: 0, ...log.result() };
+  }
+
+  for (const row of rows) {
+    if (row.length === 1 && !row[0].trim()) continue; // blank line
+
+    const get = (field) => (col[field] === -1 ? "" : (row[col[field]] || "").trim());
+    try {
+      const text = get("text").replace(/\s+/g, " ");
+      const noteText = get("note").replace(/\s+/g, " ");
+      if (!text && !noteText) { log.skip("empty", row.line, row.join(",")); continue; }
+
+      const rawTitle = get("title");
+      if (!rawTitle) throw new Error("Row has no book title");
+      const { title, series, volume, asin } = ReadwiseParserHelpers._cleanTitle(rawTitle);
+      const creators = ReadwiseParserHelpers._parseCreators(get("author"));
+      const authors  = creators.map(ReadwiseParserHelpers._creatorName);
+      const bookKey = ReadwiseParserHelpers._makeBookKey(title, authors, volume);
+
+      if (!books.has(bookKey)) {
+        books.set(bookKey, {
+          title,
+          rawTitle,
+          authors,
+          creators,
+          series,
+          volume,
+          asin: get("asin") || asin,
+          sourceUrl: get("sourceUrl") || null,
+          highlights: [],
+          notes: [],
+          bookmarks: [],
+        });
+      }
+      const book = books.get(bookKey);
+      if (!book.asin && get("asin")) book.asin = get("asin");
+      if (!book.sourceUrl && get("sourceUrl")) book.sourceUrl = get("sourceUrl");
+
+      const location = parseInt(get("location"), 10);
+      const locType  = get("locType").toLowerCase();
+      const base = {
+        page: locType === "page" && !isNaN(location) ? location : null,
+        locationStart: (locType === "location" || locType === "") && !isNaN(location) ? location : null,
+        locationEnd: null,
+        dateAdded: parseReadwiseDate(get("date")),
+      };
+
+      let highlight = null;
+      if (text) {
+        highlight = { type: "highlight", ...base, text, color: get("color") || null };
+        book.highlights.push(highlight);
+      }
+      if (noteText) {
+        book.notes.push({ type: "note", ...base, text: noteText, parentHighlight: highlight });
+      }
+    } catch (err) {
+      log.error(err.message, row.line, row.join(","));
+    }
+  }
+
+  const collapsed = ReadwiseParserHelpers._finalizeBooks(books);
+
+  return { books, collapsed, ...log.result() };
+}
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+/**
+ * Minimal RFC 4180 CSV reader: quoted fields may contain commas, newlines
+ * and doubled quotes. Each row carries the line it starts on as `row.line`.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  row.line = line;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "\n" || (ch === "\r" && text[i + 1] !== "\n")) line++;
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") { i++; line++; }
+      row.push(field); field = "";
+      rows.push(row); row = [];
+      row.line = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/** Readwise writes "2021-03-04 12:34:56+00:00" (or an empty cell). */
+function parseReadwiseDate(dateStr) {
+  if (!dateStr) return null;
+  const parsed = new Date(dateStr.replace(" ", "T"));
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+var ReadwiseParser = { isReadwiseCSV, parseReadwiseCSV };
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ReadwiseParser;
+}
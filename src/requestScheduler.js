@@ -0,0 +1,193 @@
+/**
+ * requestScheduler.js
+ * A fetch() wrapper for the metadata lookups in bookLookup.js: it limits
+ * how many requests run at once, spaces out requests to the same host, and
+ * retries when a server is busy.
+ *
+ *   const scheduler = createRequestScheduler({ concurrency: 4, hostIntervals: { "openlibrary.org": 1000 } });
+ *   const res = await scheduler.fetch(url);
+ *
+ * Retries:
+ *   - HTTP 429 and 5xx responses are retried up to `maxRetries` times, with
+ *     exponential backoff (baseDelay, 2×, 4×, … up to maxDelay)
+ *   - A Retry-After header (seconds or an HTTP date) replaces the backoff
+ *     delay, and holds back every other request to that host as well
+ *   - When retries run out, or Retry-After asks for longer than maxDelay,
+ *     fetch() rejects with an error marked `retryable: true` (see
+ *     retryableError()), so callers can tell "try again later" from "not found"
+ *
+ * Other responses, including 404, are returned as they are; network errors
+ * are passed through without retrying.
+ *
+ * A request only takes one of the `concurrency` slots once its host's
+ * interval has passed: the first queued request whose host is ready goes
+ * next, so requests spaced out for one host don't hold up the others.
+ * Retries wait in the queue the same way.
+ */
+
+"use strict";
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const SCHEDULER_DEFAULTS = {
+  concurrency:   4,      // requests in flight at once, across all hosts
+  hostIntervals: {},     // host → minimum ms between request starts
+  maxRetries:    3,
+  baseDelay:     1000,   // ms before the first retry
+  maxDelay:      60000,  // longest wait the scheduler will accept
+};
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {object}   [options]             - See SCHEDULER_DEFAULTS
+ * @param {function} [options.fetchFn]     - Defaults to the global fetch
+ * @param {function} [options.sleepFn]     - (ms) => Promise; for testing
+ * @param {function} [options.now]         - Returns the current time in ms; for testing
+ * @returns {{ fetch: function(string, object=): Promise<Response> }}
+ */
+function createRequestScheduler(options = {}) {
+  const config  = { ...SCHEDULER_DEFAULTS, ...options };
+  const fetchFn = options.fetchFn || fetch;
+  const sleepFn = options.sleepFn || delay;
+  const now     = options.now || Date.now;
+
+  const queue = [];               // waiting requests and retries, first come first served
+  const nextStart = new Map();    // host → earliest time its next request may start
+  let active = 0;
+  let wakeAt = Infinity;          // when the pending wake-up calls pump() again
+
+  const readyAt = (request) => Math.max(nextStart.get(request.host) || 0, request.notBefore);
+
+  /**
+   * Start queued requests whose host is ready while there are free slots. A
+   * request waiting for its host doesn't take a slot, so requests to a
+   * slow host can't hold up those to the others.
+   */
+  const pump = () => {
+    while (active < config.concurrency && queue.length > 0) {
+      const time = now();
+      const index = queue.findIndex((request) => readyAt(request) <= time);
+      if (index === -1) {
+        wakeUp(Math.min(...queue.map(readyAt)));
+        return;
+      }
+
+      const [request] = queue.splice(index, 1);
+      nextStart.set(request.host, time + (config.hostIntervals[request.host] || 0));
+      active++;
+      send(request).finally(() => {
+        active--;
+        pump();
+      });
+    }
+  };
+
+  /** Call pump() again at `time`, unless an earlier wake-up is already set */
+  const wakeUp = (time) => {
+    if (time >= wakeAt) return;
+    wakeAt = time;
+    sleepFn(Math.max(0, time - now())).then(() => {
+      if (wakeAt === time) wakeAt = Infinity;
+      pump();
+    });
+  };
+
+  /** Hold back every request to a host until `until` */
+  const holdHost = (host, until) => {
+    if (until > (nextStart.get(host) || 0)) nextStart.set(host, until);
+  };
+
+  /** One attempt at a request; a busy answer puts it back in the queue */
+  const send = async (request) => {
+    let res;
+    try {
+      res = await fetchFn(request.url, request.init);
+    } catch (err) {
+      request.reject(err);
+      return;
+    }
+    if (!isRetryableStatus(res.status)) {
+      request.resolve(res);
+      return;
+    }
+
+    const retryAfter = parseRetryAfter(res.headers && res.headers.get("Retry-After"), now());
+    const wait = retryAfter ?? Math.min(config.baseDelay * 2 ** request.attempt, config.maxDelay);
+
+    if (request.attempt >= config.maxRetries || wait > config.maxDelay) {
+      request.reject(retryableError(request.host, res.status, retryAfter));
+      return;
+    }
+    if (retryAfter != null) holdHost(request.host, now() + retryAfter);
+    request.attempt++;
+    request.notBefore = now() + wait;
+    queue.unshift(request); // retries go ahead of newer requests
+  };
+
+  return {
+    fetch(url, init) {
+      return new Promise((resolve, reject) => {
+        queue.push({ url, init, host: getHost(url), attempt: 0, notBefore: 0, resolve, reject });
+        pump();
+      });
+    },
+  };
+}
+
+/**
+ * The error fetch() rejects with when a host keeps refusing: a plain Error
+ * with `retryable: true`, the HTTP `status`, and `retryAfter` in ms when the
+ * server said how long to wait.
+ */
+function retryableError(host, status, retryAfter) {
+  const reason = status === 429 ? "is rate-limiting requests" : `answered HTTP ${status}`;
+  const err = new Error(`${host} ${reason}; try again later`);
+  err.retryable  = true;
+  err.status     = status;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * A Retry-After header as ms from now: either delay-seconds ("120") or an
+ * HTTP date. null when absent or unreadable.
+ */
+function parseRetryAfter(value, nowMs) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return parseInt(text, 10) * 1000;
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - nowMs);
+}
+
+/** "https://openlibrary.org/search.json?…" → "openlibrary.org" */
+function getHost(url) {
+  const match = String(url).match(/^[a-z][a-z0-9+.-]*:\/\/([^/?#]+)/i);
+  return match ? match[1].toLowerCase() : "";
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+var KindleRequestScheduler = {
+  createRequestScheduler,
+  retryableError,
+  SCHEDULER_DEFAULTS,
+  // Exported for testing
+  _parseRetryAfter: parseRetryAfter,
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KindleRequestScheduler;
+}
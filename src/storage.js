@@ -0,0 +1,67 @@
+/**
+ * storage.js
+ * Small JSON files kept in a `kindle-importer` folder inside the Zotero data
+ * directory, for state that must outlive a session (e.g. the link store).
+ *
+ * Files are written through a temporary file, so a crash mid-write leaves
+ * the previous version intact. A missing or unreadable file reads as the
+ * given fallback. Zotero only.
+ */
+
+"use strict";
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const STORAGE_DIR_NAME = "kindle-importer";
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Read a stored JSON file.
+ *
+ * @param {string} name     - File name, e.g. "links.json"
+ * @param {*}      fallback - Returned when the file is missing or unreadable
+ * @returns {Promise<*>}
+ */
+async function readStoredJSON(name, fallback) {
+  const path = getStoragePath(name);
+  if (!(await IOUtils.exists(path))) return fallback;
+
+  try {
+    return await IOUtils.readJSON(path);
+  } catch (err) {
+    Zotero.logError(err);
+    return fallback;
+  }
+}
+
+/**
+ * Write a stored JSON file, creating the storage folder if needed.
+ *
+ * @param {string} name
+ * @param {*}      data - Anything JSON.stringify() accepts
+ * @returns {Promise<void>}
+ */
+async function writeStoredJSON(name, data) {
+  await IOUtils.makeDirectory(getStorageDir(), { ignoreExisting: true });
+  const path = getStoragePath(name);
+  await IOUtils.writeJSON(path, data, { tmpPath: `${path}.tmp` });
+}
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+function getStorageDir() {
+  return PathUtils.join(Zotero.DataDirectory.dir, STORAGE_DIR_NAME);
+}
+
+function getStoragePath(name) {
+  return PathUtils.join(getStorageDir(), name);
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+var KindleStorage = { readStoredJSON, writeStoredJSON };
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KindleStorage;
+}
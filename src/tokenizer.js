@@ -0,0 +1,168 @@
+/**
+ * tokenizer.js
+ * Turns titles and author names into token sets for fuzzy comparison.
+ * Shared by matcher.js (library matching) and bookLookup.js (scoring API results).
+ *
+ * Works on any script:
+ *   - Diacritics are folded ("Café" → "cafe", "Straße" → "strasse"), and
+ *     full-width letters become their ASCII forms
+ *   - Words are runs of Unicode letters and digits, so Russian and Greek
+ *     titles tokenize like English ones
+ *   - Chinese, Japanese and Korean text has no spaces between words, so it is
+ *     split into overlapping character pairs instead
+ *   - Stop words are removed for the title's language, detected from the
+ *     stop words it contains
+ *
+ * Each word contributes itself plus its character bigrams, which tolerates
+ * typos, plurals and small spelling differences.
+ */
+
+"use strict";
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+// Articles and other small words that differ between Kindle and Zotero
+// versions of the same title, per language.
+const TOKENIZER_STOP_WORDS = {
+  en: ["a", "an", "the", "of", "in", "on", "at", "to", "for", "and", "or",
+       "with", "by", "from", "as", "is", "its", "it", "be", "was", "are"],
+  de: ["der", "die", "das", "den", "dem", "des", "ein", "eine", "einer", "eines",
+       "und", "oder", "von", "vom", "zu", "zum", "zur", "im", "in", "mit", "fur", "auf", "ist"],
+  fr: ["le", "la", "les", "un", "une", "des", "du", "de", "et", "ou", "en", "au", "aux",
+       "pour", "par", "sur", "dans", "avec", "est"],
+  es: ["el", "la", "los", "las", "un", "una", "unos", "unas", "de", "del", "y", "o",
+       "en", "al", "por", "para", "con", "es"],
+  it: ["il", "lo", "la", "gli", "le", "un", "uno", "una", "di", "del", "della", "dei",
+       "e", "ed", "o", "in", "nel", "nella", "per", "con", "da", "al", "alla"],
+  pt: ["o", "a", "os", "as", "um", "uma", "de", "do", "da", "dos", "das", "e", "ou",
+       "em", "no", "na", "por", "para", "com"],
+  nl: ["de", "het", "een", "van", "en", "of", "in", "op", "met", "voor", "door"],
+  ru: ["и", "в", "во", "на", "с", "со", "о", "об", "по", "к", "из", "за", "для", "от", "не"],
+};
+
+const TOKENIZER_STOP_WORD_SETS = Object.fromEntries(
+  Object.entries(TOKENIZER_STOP_WORDS).map(([lang, words]) => [lang, new Set(words)])
+);
+
+// Letters that Unicode decomposition doesn't fold
+const TOKENIZER_FOLDS = { "ß": "ss", "æ": "ae", "œ": "oe", "ø": "o", "ł": "l", "đ": "d", "ð": "d", "þ": "th", "ı": "i" };
+
+// Scripts written without spaces between words
+const CJK_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const CJK_RUN_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー]+|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー]+/gu;
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Tokenize a string for comparison.
+ *
+ * @param {string} str
+ * @param {object} [options]
+ * @param {string} [options.lang] - Stop-word language ("en", "de", …); detected when omitted
+ * @param {boolean} [options.wordsOnly=false] - Leave out the bigrams of non-CJK words, keeping
+ *                                             whole words and CJK pairs (for indexing)
+ * @returns {Set<string>} Words and their character bigrams
+ */
+function tokenize(str, options = {}) {
+  if (!str) return new Set();
+
+  const words = foldText(str)
+    .replace(/['’]/g, "")            // apostrophes join ("don't" → "dont")
+    .replace(/[^\p{L}\p{N}]+/gu, " ") // everything else → space
+    .split(" ")
+    .filter(Boolean);
+
+  const stopWords = TOKENIZER_STOP_WORD_SETS[options.lang] ||
+    TOKENIZER_STOP_WORD_SETS[detectStopWordLanguage(words)];
+
+  const tokens = new Set();
+  for (const word of words) {
+    if (CJK_REGEX.test(word)) {
+      addCJKTokens(word, tokens, options.wordsOnly);
+      continue;
+    }
+
+    const chars = Array.from(word);
+    if (chars.length < 2 || stopWords.has(word)) continue;
+
+    tokens.add(word); // whole word
+    if (options.wordsOnly) continue;
+    for (let i = 0; i < chars.length - 1; i++) {
+      tokens.add(chars[i] + chars[i + 1]); // bigram
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Lowercase and strip diacritics from Latin, Greek and Cyrillic letters;
+ * other scripts (e.g. Japanese voiced kana) are left intact.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+function foldText(str) {
+  return str
+    .normalize("NFKD")
+    .replace(/([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu, "$1")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/ς/g, "σ") // Greek final sigma
+    .replace(/[ßæœøłđðþı]/g, (c) => TOKENIZER_FOLDS[c]);
+}
+
+// ─── Internal Helpers ────────────────────────────────────────────────────────
+
+/**
+ * Chinese/Japanese/Korean runs become overlapping character pairs
+ * ("思考の整理学" → "思考", "考の", "の整", "整理", "理学"); a lone
+ * character is kept as is. Latin text mixed into the word is tokenized
+ * like any other word.
+ */
+function addCJKTokens(word, tokens, wordsOnly) {
+  for (const run of word.match(CJK_RUN_REGEX)) {
+    const chars = Array.from(run);
+    if (!CJK_REGEX.test(run)) {
+      if (chars.length < 2) continue;
+      tokens.add(run);
+      if (wordsOnly) continue;
+      for (let i = 0; i < chars.length - 1; i++) tokens.add(chars[i] + chars[i + 1]);
+    } else if (chars.length === 1) {
+      tokens.add(run);
+    } else {
+      for (let i = 0; i < chars.length - 1; i++) tokens.add(chars[i] + chars[i + 1]);
+    }
+  }
+}
+
+/**
+ * The language whose stop words appear most often among the words; English
+ * when none appear or on a tie with English.
+ */
+function detectStopWordLanguage(words) {
+  let best = "en";
+  let bestCount = words.filter((w) => TOKENIZER_STOP_WORD_SETS.en.has(w)).length;
+
+  for (const [lang, set] of Object.entries(TOKENIZER_STOP_WORD_SETS)) {
+    const count = words.filter((w) => set.has(w)).length;
+    if (count > bestCount) {
+      best = lang;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+var KindleTokenizer = {
+  tokenize,
+  foldText,
+  // Exported for testing
+  _detectStopWordLanguage: detectStopWordLanguage,
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = KindleTokenizer;
+}
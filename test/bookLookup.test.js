@@ -0,0 +1,90 @@
+/**
+ * bookLookup.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const BookLookup = require("../src/bookLookup.js");
+
+function book(title, authors = ["Cal Newport"]) {
+  return { title, rawTitle: title, authors, asin: null, highlights: [], notes: [], bookmarks: [] };
+}
+
+function response(status, body = {}, headers = {}) {
+  return {
+    ok: status < 400,
+    status,
+    headers: { get: (name) => headers[name] ?? null },
+    json: async () => body,
+  };
+}
+
+const googleBooks = (...titles) => ({
+  items: titles.map((title, i) => ({
+    volumeInfo: {
+      title,
+      authors: ["Cal Newport"],
+      publishedDate: "2016-01-05",
+      industryIdentifiers: [{ type: "ISBN_13", identifier: `978145558669${i}` }],
+    },
+  })),
+});
+
+test("an API that keeps refusing fails the lookup as retryable", async () => {
+  const [result] = await BookLookup.lookupAllUnmatched(
+    [{ parsedBook: book("Deep Work") }],
+    async () => response(429, {}, { "Retry-After": "3600" })
+  );
+
+  assert.equal(result.metadata, null);
+  assert.equal(result.retryable, true);
+  assert.match(result.error, /www.googleapis.com is rate-limiting requests/);
+});
+
+test("every book gets a result, in the order given", async () => {
+  const progress = [];
+  const results = await BookLookup.lookupAllUnmatched(
+    ["Deep Work", "Digital Minimalism", "So Good They Can't Ignore You"].map((title) => ({ parsedBook: book(title) })),
+    async (url) => response(200, googleBooks(decodeURIComponent(url.match(/intitle:([^+&]+)/)[1]))),
+    (done, total, title) => progress.push(`${done}/${total}`)
+  );
+
+  assert.deepEqual(results.map((r) => [r.metadata.title, r.metadata.source, r.needsReview]), [
+    ["Deep Work", "google", false],
+    ["Digital Minimalism", "google", false],
+    ["So Good They Can't Ignore You", "google", false],
+  ]);
+  assert.deepEqual(progress, ["1/3", "2/3", "3/3"]);
+});
+
+test("a weak result needs review and comes with every provider's candidates", async () => {
+  const [result] = await BookLookup.lookupAllUnmatched([{ parsedBook: book("Deep Work Rules") }], async (url) => {
+    if (url.includes("googleapis")) return response(200, googleBooks("Deep Work Habits", "Deep Learning"));
+    return response(200, { docs: [{ title: "Deep Work: Rules for Focused Success", author_name: ["Cal Newport"], isbn: ["1455586692"], first_publish_year: 2016 }] });
+  });
+
+  assert.equal(result.needsReview, true);
+  assert.equal(result.metadata.title, "Deep Work Habits"); // the first good-enough result is kept
+  // Both Google searches return the same books; each is listed once
+  assert.deepEqual(result.metadata.candidates.map((c) => [c.source, c.title]), [
+    ["openlibrary", "Deep Work: Rules for Focused Success"],
+    ["google", "Deep Work Habits"],
+    ["google", "Deep Learning"],
+  ]);
+});
+
+test("a book nobody knows falls back to its Kindle data and needs review", async () => {
+  const [result] = await BookLookup.lookupAllUnmatched(
+    [{ parsedBook: { ...book("My Private Notes"), asin: "B00X47ZVXM" } }],
+    async (url) => response(200, url.includes("googleapis") ? {} : { docs: [] })
+  );
+
+  assert.equal(result.needsReview, true);
+  assert.deepEqual(
+    [result.metadata.source, result.metadata.title, result.metadata.extra, result.metadata.candidates],
+    ["kindle", "My Private Notes", "ASIN: B00X47ZVXM", []]);
+});
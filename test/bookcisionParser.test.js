@@ -0,0 +1,51 @@
+/**
+ * bookcisionParser.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const BookcisionParser = require("../src/bookcisionParser.js");
+
+test("a Bookcision export is parsed, notes and all", () => {
+  const json = JSON.stringify({
+    asin: "B00555X8OA",
+    title: "Thinking, Fast and Slow",
+    authors: "Daniel Kahneman",
+    highlights: [
+      { text: "System 1 operates automatically.", isNoteOnly: false, note: "Fast", location: { value: 269 } },
+      { text: "A note without a highlight", isNoteOnly: true, location: { value: 300 } },
+      { text: "", isNoteOnly: false, location: { value: 310 } },
+    ],
+  });
+
+  assert.equal(BookcisionParser.isBookcisionJSON(json), true);
+  const { books, skipped, errors } = BookcisionParser.parseBookcisionJSON(json);
+  const [book] = books.values();
+
+  assert.deepEqual(errors, []);
+  assert.equal(skipped, 1);
+  assert.deepEqual([book.title, book.authors, book.asin], ["Thinking, Fast and Slow", ["Daniel Kahneman"], "B00555X8OA"]);
+  assert.deepEqual(book.highlights.map((h) => [h.text, h.locationStart]), [["System 1 operates automatically.", 269]]);
+  assert.deepEqual(book.notes.map((n) => [n.text, n.parentHighlight]), [
+    ["Fast", book.highlights[0]],
+    ["A note without a highlight", null],
+  ]);
+});
+
+test("bad entries are reported and the rest of the file still imports", () => {
+  const { books, errors } = BookcisionParser.parseBookcisionJSON(JSON.stringify([
+    { title: "Deep Work", authors: "Cal Newport", highlights: [null, { text: "Focus.", location: { value: 10 } }] },
+    "not a book",
+    { authors: "No Title", highlights: [] },
+  ]));
+
+  assert.equal(books.size, 1);
+  assert.equal([...books.values()][0].highlights.length, 1);
+  assert.equal(errors.length, 3);
+
+  assert.equal(BookcisionParser.parseBookcisionJSON("{ not json").errors.length, 1);
+});
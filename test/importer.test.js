@@ -0,0 +1,143 @@
+/**
+ * importer.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const Parser     = require("../src/parser.js");
+const Importer   = require("../src/importer.js");
+const Bookcision = require("../src/bookcisionParser.js");
+
+const CLIPPING = [
+  "Leviathan Wakes (The Expanse Book 1) (James S. A. Corey)",
+  "- Your Highlight on Location 120-121 | Added on Sunday, January 5, 2025 9:14:32 AM",
+  "",
+  "Doors and corners, kid.",
+  "==========",
+  "",
+].join("\n");
+
+function parseOneBook(content) {
+  const { books } = Parser.parseClippings(content);
+  assert.equal(books.size, 1);
+  return [...books][0];
+}
+
+test("a note written with the old raw-title key is recognised", () => {
+  const [bookKey, book] = parseOneBook(CLIPPING);
+  assert.equal(book.title, "Leviathan Wakes");
+
+  // Notes written before title cleaning stored the uncleaned title
+  const oldFingerprint = {
+    count: 1,
+    hash: "0",
+    kindleKey: "leviathan wakes (the expanse book 1)::james s. a. corey",
+  };
+  const html = `<h1>Kindle Highlights</h1><!-- kindle-import-meta: ${JSON.stringify(oldFingerprint)} -->`;
+  const { kindleKey } = Importer._parseNoteFingerprint(html);
+
+  assert.notEqual(kindleKey, bookKey);
+  assert.ok(Parser.getLegacyBookKeys(book).includes(kindleKey));
+});
+
+test("a book whose title needed no cleaning has no legacy keys", () => {
+  const { books } = Bookcision.parseBookcisionJSON(JSON.stringify({
+    title: "Deep Work",
+    authors: "Cal Newport",
+    highlights: [{ text: "Focus.", location: { value: 10 } }],
+  }));
+  const [bookKey, book] = [...books][0];
+
+  assert.deepEqual(Parser.getLegacyBookKeys(book), []);
+  assert.equal(Importer._computeFingerprint(book).kindleKey, bookKey);
+});
+
+function mockAPI() {
+  const calls = [];
+  return {
+    calls,
+    async createBookFromISBN(args) { calls.push(["isbn", args]); return "translated"; },
+    async createBook(args) { calls.push(["book", args]); return "created"; },
+    async createNote() {},
+    getItemID: (item) => item.id,
+    async addToCollection() {},
+    async getKindleNote() { return null; },
+  };
+}
+
+async function createWith(metadata) {
+  const [, parsedBook] = parseOneBook(CLIPPING);
+  const api = mockAPI();
+  const itemID = await Importer.createBookAndNote(parsedBook, {
+    title: "Leviathan Wakes", authors: ["James S. A. Corey"], isbn: "9780316129084",
+    year: "2011", source: "google", confidence: 1, extra: "", ...metadata,
+  }, 1, api);
+  return { itemID, calls: api.calls };
+}
+
+test("found books are created by the ISBN translators, falling back to the lookup data", async () => {
+  const translated = await createWith({});
+  assert.equal(translated.itemID, "translated");
+  assert.deepEqual(translated.calls.map(([kind]) => kind), ["isbn"]);
+
+  const [, parsedBook] = parseOneBook(CLIPPING);
+  const api = mockAPI();
+  api.createBookFromISBN = async (args) => { api.calls.push(["isbn", args]); return null; };
+  const itemID = await Importer.createBookAndNote(parsedBook, {
+    title: "Leviathan Wakes", authors: ["James S. A. Corey"], isbn: "9780316129084", source: "google", extra: "",
+  }, 1, api);
+  assert.equal(itemID, "created");
+  assert.deepEqual(api.calls.map(([kind]) => kind), ["isbn", "book"]);
+
+  const withoutISBN = await createWith({ isbn: "" });
+  assert.deepEqual(withoutISBN.calls.map(([kind]) => kind), ["book"]);
+});
+
+test("reviewed books use the ISBN translators when only the ISBN was edited", async () => {
+  const { itemID, calls } = await createWith({ isbn: "031612908", editedFields: ["isbn"] });
+  assert.equal(itemID, "translated");
+  assert.deepEqual(calls[0][1].overrides, {});
+});
+
+test("a valid edited ISBN keeps the translators and applies the other edits", async () => {
+  const { itemID, calls } = await createWith({
+    isbn: "0316129089", title: "Leviathan Wakes (Expanse 1)", editedFields: ["title", "isbn"],
+  });
+  assert.equal(itemID, "translated");
+  assert.deepEqual(calls[0][1].overrides, { title: "Leviathan Wakes (Expanse 1)" });
+});
+
+test("edits without a valid ISBN are saved as typed", async () => {
+  const { itemID, calls } = await createWith({ title: "Leviathan Wakes!", editedFields: ["title"] });
+  assert.equal(itemID, "created");
+  assert.equal(calls[0][1].title, "Leviathan Wakes!");
+
+  const invalid = await createWith({ isbn: "123", year: "2012", editedFields: ["isbn", "year"] });
+  assert.equal(invalid.itemID, "created");
+});
+
+test("the report says how each imported book was matched", async () => {
+  const [, parsedBook] = parseOneBook(CLIPPING);
+  const { imported } = await Importer.importAll({
+    matched:   [{ parsedBook, zoteroItem: { id: 1 }, matchedBy: "title" }],
+    confirmed: [{ parsedBook, zoteroItem: { id: 2 }, matchedBy: "identifier" }],
+    lookupResults: [{ parsedBook, metadata: { title: "Leviathan Wakes", authors: [], source: "kindle" } }],
+  }, mockAPI());
+
+  assert.deepEqual(imported.map(({ itemID, created, matchedBy }) => [itemID, created, matchedBy]),
+    [[1, false, "title"], [2, false, "identifier"], ["created", true, null]]);
+});
+
+test("bookmarks are rendered and fingerprinted only when included", () => {
+  const [, book] = parseOneBook(CLIPPING);
+  book.bookmarks = [{ type: "bookmark", page: null, locationStart: 95, locationEnd: null, dateAdded: null, text: "" }];
+
+  assert.doesNotMatch(Importer.buildNoteHTML(book), /Bookmarked locations/);
+  assert.match(Importer.buildNoteHTML(book, { includeBookmarks: true }), /Bookmarked locations/);
+  assert.equal(Importer._computeFingerprint(book).hash, Importer._computeFingerprint({ ...book, bookmarks: [] }).hash);
+  assert.notEqual(Importer._computeFingerprint(book, { includeBookmarks: true }).hash, Importer._computeFingerprint(book).hash);
+});
@@ -0,0 +1,55 @@
+/**
+ * koboParser.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const KoboParser = require("../src/koboParser.js");
+
+function row(fields) {
+  return {
+    BookmarkID: "bm-1", VolumeID: "file:///mnt/onboard/deep-work.epub", Text: null, Annotation: null,
+    Type: "highlight", DateCreated: "2024-08-01T10:12:30.000", BookTitle: "Deep Work",
+    Attribution: "Cal Newport", ISBN: "9781455586691", ChapterTitle: "Chapter 1", ...fields,
+  };
+}
+
+test("Kobo rows become highlights and notes of their book", () => {
+  const { books, skipped, errors } = KoboParser.parseKoboBookmarks([
+    row({ BookmarkID: "bm-1", Text: "  Deep work is\nvaluable. ", Annotation: "Key idea" }),
+    row({ BookmarkID: "bm-2", Type: "note", Text: null, Annotation: "A note on its own", ChapterTitle: "Chapter 2" }),
+    row({ BookmarkID: "bm-3", Type: "dogear" }),
+    row({ BookmarkID: "bm-4", Text: "   " }),
+  ]);
+
+  const [book] = books.values();
+  assert.deepEqual(errors, []);
+  assert.equal(skipped, 2); // the dog-ear and the empty row
+  assert.deepEqual([book.title, book.authors, book.isbn], ["Deep Work", ["Cal Newport"], "9781455586691"]);
+
+  const [highlight] = book.highlights;
+  assert.equal(highlight.text, "Deep work is valuable.");
+  assert.equal(highlight.chapter, "Chapter 1");
+  assert.equal(highlight.dateAdded.toISOString(), "2024-08-01T10:12:30.000Z"); // Kobo dates are UTC
+  assert.deepEqual(book.notes.map((n) => [n.text, n.parentHighlight]), [
+    ["Key idea", highlight],
+    ["A note on its own", null],
+  ]);
+});
+
+test("dog-ears are kept as bookmarks when asked for", () => {
+  const { books, skipped } = KoboParser.parseKoboBookmarks([row({ Type: "dogear" })], { keepBookmarks: true });
+  assert.equal(skipped, 0);
+  assert.deepEqual([...books.values()][0].bookmarks.map((b) => [b.type, b.chapter]), [["bookmark", "Chapter 1"]]);
+});
+
+test("a row without its book is reported, not dropped silently", () => {
+  const { books, errors, diagnostics } = KoboParser.parseKoboBookmarks([row({ BookTitle: null, Text: "Orphan" })]);
+  assert.equal(books.size, 0);
+  assert.equal(errors.length, 1);
+  assert.match(diagnostics[0].message, /No book found for volume file:\/\/\/mnt\/onboard\/deep-work\.epub/);
+});
@@ -0,0 +1,121 @@
+/**
+ * koreaderParser.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const KOReaderParser = require("../src/koreaderParser.js");
+
+test("\\u escapes beyond the last code point are kept as written", () => {
+  const table = KOReaderParser._parseLuaTable('return { ["text"] = "a\\u{1F600}b\\u{110000}c" }');
+  assert.equal(table.text, "a\u{1F600}b\\u{110000}c");
+});
+
+const SIDECAR = `return {
+  ["doc_props"] = { ["title"] = "Deep Work", ["authors"] = "Cal Newport" },
+  ["annotations"] = {
+    [1] = { ["pos0"] = "a", ["pos1"] = "b", ["pageno"] = 3, ["text"] = "Focus." },
+  },
+}`;
+
+test("a folder that can't be read is reported and the rest still imports", async () => {
+  // A fake file system: folders map names to children, files hold their text
+  const tree = {
+    "/books": ["/books/Deep Work.sdr", "/books/Locked.sdr", "/books/Broken.sdr"],
+    "/books/Deep Work.sdr": ["/books/Deep Work.sdr/metadata.epub.lua"],
+    "/books/Deep Work.sdr/metadata.epub.lua": SIDECAR,
+    "/books/Broken.sdr": ["/books/Broken.sdr/metadata.pdf.lua"],
+  };
+  const denied = (path) => Object.assign(new Error(`Permission denied: ${path}`), { name: "NotAllowedError" });
+  global.PathUtils = { filename: (path) => path.split("/").pop() };
+  global.IOUtils = {
+    async stat(path) {
+      if (path === "/books/Locked.sdr") throw denied(path);
+      return { type: Array.isArray(tree[path]) ? "directory" : "regular" };
+    },
+    async getChildren(path) { return tree[path]; },
+    async readUTF8(path) {
+      if (typeof tree[path] !== "string") throw denied(path);
+      return tree[path];
+    },
+  };
+
+  try {
+    const { books, errors, diagnostics } = await KOReaderParser.readKOReaderPath("/books");
+    assert.deepEqual([...books.values()].map((book) => book.title), ["Deep Work"]);
+    assert.equal(errors.length, 2);
+    assert.deepEqual(diagnostics.map((d) => d.raw).sort(), ["/books/Broken.sdr/metadata.pdf.lua", "/books/Locked.sdr"]);
+  } finally {
+    delete global.IOUtils;
+    delete global.PathUtils;
+  }
+});
+
+test("sidecars are recognised by their Lua table", () => {
+  assert.equal(KOReaderParser.isKOReaderMetadata(SIDECAR), true);
+  assert.equal(KOReaderParser.isKOReaderMetadata("-- we can read Lua syntax here!\n" + SIDECAR), true);
+  assert.equal(KOReaderParser.isKOReaderMetadata("return { x = 1 }"), false);
+});
+
+test("the Lua reader handles KOReader's serializer output", () => {
+  const table = KOReaderParser._parseLuaTable(`-- a comment
+return {
+  ["long"] = [[
+first line
+second]],
+  ["quoted"] = 'it\\'s "here"\\n',
+  ["numbers"] = { 1, -2.5, 0x10, 1e3 },
+  ["flags"] = { ["yes"] = true, ["no"] = false, ["gone"] = nil },
+  plain = "key",
+}`);
+
+  assert.deepEqual(table, {
+    long: "first line\nsecond",
+    quoted: "it's \"here\"\n",
+    numbers: { 1: 1, 2: -2.5, 3: 16, 4: 1000 },
+    flags: { yes: true, no: false },
+    plain: "key",
+  });
+  assert.throws(() => KOReaderParser._parseLuaTable('return { ["a"] = }'), /Lua syntax error/);
+});
+
+test("highlights and notes are read from current and older sidecar formats", () => {
+  const annotations = KOReaderParser.parseKOReaderMetadata(`return {
+    ["doc_props"] = { ["title"] = "Deep Work", ["authors"] = "Cal Newport\\nSecond Author" },
+    ["annotations"] = {
+      [1] = { ["pos0"] = "a", ["pos1"] = "b", ["pageno"] = 12, ["chapter"] = "Rule #1",
+              ["datetime"] = "2024-08-01 10:12:30", ["text"] = "Work deeply.", ["note"] = "Yes" },
+      [2] = { ["page"] = 14, ["pageno"] = 14 },
+    },
+  }`);
+  const [book] = annotations.books.values();
+  assert.deepEqual(book.authors, ["Cal Newport", "Second Author"]);
+  assert.equal(annotations.skipped, 1); // the page bookmark
+  assert.deepEqual(book.highlights.map(({ text, page, chapter }) => [text, page, chapter]), [["Work deeply.", 12, "Rule #1"]]);
+  assert.equal(book.highlights[0].dateAdded.getHours(), 10);
+  assert.equal(book.notes[0].parentHighlight, book.highlights[0]);
+
+  // Before 2024.07: `notes` holds the highlighted text and `text` the user's note,
+  // or an automatic "Page … @ date" line when they wrote none
+  const bookmarks = KOReaderParser.parseKOReaderMetadata(`return {
+    ["bookmarks"] = {
+      [1] = { ["highlighted"] = true, ["page"] = 3, ["notes"] = "Old highlight",
+              ["text"] = "Page 3 Old highlight @ 2023-01-05 09:14:32" },
+      [2] = { ["highlighted"] = true, ["page"] = 4, ["notes"] = "Annotated", ["text"] = "My note" },
+    },
+  }`, "/books/Old Book.sdr/metadata.epub.lua");
+  const [oldBook] = bookmarks.books.values();
+  assert.equal(oldBook.title, "Old Book"); // no doc_props: named after the folder
+  assert.deepEqual(oldBook.highlights.map((h) => h.text), ["Old highlight", "Annotated"]);
+  assert.deepEqual(oldBook.notes.map((n) => n.text), ["My note"]);
+
+  const oldest = KOReaderParser.parseKOReaderMetadata(`return {
+    ["doc_props"] = { ["title"] = "Oldest" },
+    ["highlight"] = { [7] = { [1] = { ["text"] = "Very old", ["chapter"] = "One" } } },
+  }`);
+  assert.deepEqual([...oldest.books.values()][0].highlights.map(({ text, page }) => [text, page]), [["Very old", 7]]);
+});
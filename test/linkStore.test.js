@@ -0,0 +1,72 @@
+/**
+ * linkStore.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const LinkStore = require("../src/linkStore.js");
+
+function book(title, authors = ["Ann Author"]) {
+  return { title, rawTitle: title, authors, volume: null, highlights: [], notes: [], bookmarks: [] };
+}
+
+function books(...list) {
+  return new Map(list.map((b) => [LinkStore.getBookKey(b), b]));
+}
+
+test("decisions are kept per library and survive a save", async () => {
+  let saved = null;
+  const store = LinkStore.createLinkStore(null, async (json) => { saved = json; });
+  const key = LinkStore.getBookKey(book("Deep Work"));
+
+  store.set(1, key, "link", { itemKey: "ABCD1234", title: "Deep Work", authors: ["Cal Newport"] });
+  store.set(2, key, "ignore", { itemKey: "IGNORED1" });
+  assert.throws(() => store.set(1, key, "maybe"), /Unknown link decision "maybe"/);
+  await store.save();
+
+  const reloaded = LinkStore.createLinkStore(JSON.parse(JSON.stringify(saved)));
+  assert.equal(reloaded.get(1, key).itemKey, "ABCD1234");
+  assert.equal(reloaded.get(2, key).decision, "ignore");
+  assert.equal(reloaded.get(2, key).itemKey, null);
+  assert.equal(reloaded.get(2, key).title, key); // no title given: the key stands in
+  assert.deepEqual(reloaded.list(1).map((link) => link.title), ["Deep Work"]);
+
+  reloaded.remove(1, key);
+  assert.equal(reloaded.get(1, key), null);
+});
+
+test("linking a book to the item it was added as keeps it a new book", () => {
+  const store = LinkStore.createLinkStore(null);
+  store.set(1, "deep work::ann author", "new", { itemKey: "NEWITEM1" });
+  store.set(1, "deep work::ann author", "link", { itemKey: "NEWITEM1" });
+  assert.equal(store.get(1, "deep work::ann author").decision, "new");
+
+  store.set(1, "deep work::ann author", "link", { itemKey: "OTHER123" });
+  assert.equal(store.get(1, "deep work::ann author").decision, "link");
+});
+
+test("saved decisions are applied before matching", () => {
+  const [linked, added, addedGone, linkedGone, ignored, unknown] =
+    ["Linked", "Added", "Added Then Deleted", "Linked Then Deleted", "Ignored", "Unknown"].map((t) => book(t));
+  const store = LinkStore.createLinkStore(null);
+  store.set(1, LinkStore.getBookKey(linked), "link", { itemKey: "LINKED01" });
+  store.set(1, LinkStore.getBookKey(added), "new", { itemKey: "ADDED001" });
+  store.set(1, LinkStore.getBookKey(addedGone), "new", { itemKey: "GONE0001" });
+  store.set(1, LinkStore.getBookKey(linkedGone), "link", { itemKey: "GONE0002" });
+  store.set(1, LinkStore.getBookKey(ignored), "ignore");
+  store.set(2, LinkStore.getBookKey(unknown), "ignore"); // another library
+
+  const items = { LINKED01: { id: 1 }, ADDED001: { id: 2 } };
+  const result = LinkStore.applyLinks(books(linked, added, addedGone, linkedGone, ignored, unknown),
+    store, 1, (itemKey) => items[itemKey] || null);
+
+  assert.deepEqual(result.matched.map((m) => [m.parsedBook.title, m.zoteroItem.id, m.matchedBy]),
+    [["Linked", 1, "link"], ["Added", 2, "link"]]);
+  assert.deepEqual(result.unmatched.map((u) => u.parsedBook.title), ["Added Then Deleted"]);
+  assert.deepEqual(result.ignored.map((i) => i.parsedBook.title), ["Ignored"]);
+  assert.deepEqual([...result.remaining.values()].map((b) => b.title), ["Linked Then Deleted", "Unknown"]);
+});
@@ -0,0 +1,77 @@
+/**
+ * lookupCache.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const LookupCache = require("../src/lookupCache.js");
+
+const book = (title) => ({ title, authors: ["Ann Author"] });
+
+test("overlapping saves never write at the same time", async () => {
+  let active = 0;
+  let overlapped = false;
+  const written = [];
+  const write = async (json) => {
+    active++;
+    if (active > 1) overlapped = true;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    written.push(json.entries.length);
+    active--;
+  };
+
+  const cache = LookupCache.createLookupCache(null, write);
+  const saves = [];
+  for (const title of ["One", "Two", "Three", "Four"]) {
+    cache.set(book(title), null);
+    saves.push(cache.save());
+  }
+  await Promise.all(saves);
+
+  assert.equal(overlapped, false);
+  assert.ok(written.length <= 2, `${written.length} writes`);
+  assert.equal(written[written.length - 1], 4); // the last write has every entry
+});
+
+test("a failed write doesn't stop later saves", async () => {
+  let calls = 0;
+  const cache = LookupCache.createLookupCache(null, async () => {
+    if (++calls === 1) throw new Error("disk full");
+  });
+
+  await assert.rejects(cache.save(), /disk full/);
+  await cache.save();
+  assert.equal(calls, 2);
+});
+
+test("found books are kept longer than books nobody found", () => {
+  let time = Date.parse("2025-01-01T00:00:00Z");
+  const now = () => time;
+  const cache = LookupCache.createLookupCache(null, null, now);
+  cache.set(book("Found"), { title: "Found", source: "google" });
+  cache.set(book("Missing"), null);
+
+  assert.deepEqual(cache.get(book("Missing")), { metadata: null });
+  time += 8 * 24 * 60 * 60 * 1000;
+  assert.equal(cache.get(book("Missing")), null);
+  assert.equal(cache.get(book("Found")).metadata.title, "Found");
+
+  // Expired entries are dropped on load
+  const reloaded = LookupCache.createLookupCache(JSON.parse(JSON.stringify(cache.toJSON())), null, now);
+  assert.equal(reloaded.size, 1);
+  time += 90 * 24 * 60 * 60 * 1000;
+  assert.equal(reloaded.get(book("Found")), null);
+});
+
+test("lookups are keyed by folded title and first author", () => {
+  assert.equal(
+    LookupCache.getLookupKey({ title: "Café: Society!", authors: ["Ann Author", "Bob Other"] }),
+    LookupCache.getLookupKey({ title: "cafe  society", authors: ["ANN AUTHOR"] }));
+  assert.notEqual(
+    LookupCache.getLookupKey(book("Deep Work")),
+    LookupCache.getLookupKey({ title: "Deep Work", authors: ["Someone Else"] }));
+});
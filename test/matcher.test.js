@@ -0,0 +1,278 @@
+/**
+ * matcher.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const Matcher   = require("../src/matcher.js");
+const Tokenizer = require("../src/tokenizer.js");
+
+function mockItem(id, title, lastName = "Author") {
+  return { id, title, creators: [{ firstName: "Ann", lastName }] };
+}
+
+function book(title, authors = ["Ann Author"]) {
+  return { title, rawTitle: title, authors, highlights: [], notes: [], bookmarks: [] };
+}
+
+test("the library index holds whole words, not bigrams", () => {
+  const index = Matcher._buildLibraryIndex([mockItem(1, "The Pragmatic Programmer")]);
+  assert.deepEqual([...index.postings.keys()].sort(), ["pragmatic", "programmer"]);
+});
+
+test("items sharing only bigrams with a book are not candidates", () => {
+  // "other", "there", "mother" share "th", "he", "er" with "Thermal Weather"
+  const items = [
+    mockItem(1, "Thermal Weather"),
+    mockItem(2, "Another Mother"),
+    mockItem(3, "There and Back"),
+  ];
+  const index = Matcher._buildLibraryIndex(items);
+  const words = Tokenizer.tokenize("Thermal Weather", { wordsOnly: true });
+
+  assert.deepEqual(Matcher._findCandidates(index, words).map((e) => e.item.id), [1]);
+});
+
+test("a misspelt title word still finds its item", () => {
+  const items = [mockItem(1, "Thinking, Fast and Slow", "Kahneman")];
+  const result = Matcher.matchBooksToZotero(
+    new Map([["k", book("Thinking Fast and Slwo", ["Daniel Kahneman"])]]),
+    { getItems: () => items }
+  );
+
+  assert.equal(result.matched.length + result.ambiguous.length, 1);
+});
+
+test("a book and its sequel are not offered as duplicates", () => {
+  const books = new Map([
+    ["dune", book("Dune", ["Frank Herbert"])],
+    ["messiah", book("Dune Messiah", ["Frank Herbert"])],
+    ["foundation", book("Foundation", ["Isaac Asimov"])],
+    ["empire", book("Foundation and Empire", ["Isaac Asimov"])],
+  ]);
+  assert.deepEqual(Matcher.findDuplicateBooks(books), []);
+});
+
+test("titles differing only in spelling or subtitle length are duplicates", () => {
+  const books = new Map([
+    ["a", book("Sapiens: A Brief History", ["Yuval Noah Harari"])],
+    ["b", book("Sapiens: A Brief History of Humankind", ["Yuval Noah Harari"])],
+    ["c", book("The Pragmatic Programmer", ["David Thomas"])],
+    ["d", book("The Pragmatic Programer", ["David Thomas"])],
+  ]);
+  assert.deepEqual(Matcher.findDuplicateBooks(books).map((group) => group.keys), [["a", "b"], ["c", "d"]]);
+});
+
+test("a contained title with the same series is a duplicate", () => {
+  const books = new Map([
+    ["a", { ...book("Leviathan Wakes", ["James S. A. Corey"]), series: "The Expanse" }],
+    ["b", { ...book("Leviathan Wakes Special Edition Bundle", ["James S. A. Corey"]), series: "Expanse" }],
+  ]);
+  assert.deepEqual(Matcher.findDuplicateBooks(books).map((group) => group.keys), [["a", "b"]]);
+});
+
+test("a book is never matched on the item's Series alone", () => {
+  const items = [
+    { ...mockItem(1, "Harry Potter and the Philosopher's Stone", "Rowling"), series: "Harry Potter" },
+    { ...mockItem(2, "The Fellowship of the Ring", "Tolkien"), series: "The Lord of the Rings" },
+  ];
+  const result = Matcher.matchBooksToZotero(new Map([
+    ["chamber", book("Harry Potter and the Chamber of Secrets", ["J.K. Rowling"])],
+    ["rings",   book("The Lord of the Rings", ["J. R. R. Tolkien"])],
+  ]), { getItems: () => items });
+
+  assert.deepEqual(result.matched, []);
+  const rings = result.ambiguous.find((entry) => entry.parsedBook.title === "The Lord of the Rings");
+  assert.ok(rings, "an exact Series match is still offered for review");
+  assert.equal(rings.candidates[0].explanation.title.field, "series");
+  assert.ok(rings.candidates[0].titleScore < 0.85);
+});
+
+test("ISBNs are compared in any form", () => {
+  assert.equal(Matcher._normalizeISBN("0-13-235088-2"), "9780132350884");
+  assert.equal(Matcher._normalizeISBN("978-0-13-235088-4"), "9780132350884");
+  assert.equal(Matcher._normalizeISBN("0-8044-2957-X"), "9780804429573");
+  assert.equal(Matcher._normalizeISBN("9780132350885"), null); // bad check digit
+  assert.equal(Matcher._normalizeISBN("B00X47ZVXM"), null);
+
+  const item = { id: 1, title: "Clean Code", ISBN: "9780132350884 0132350882", extra: "ASIN: B001GSTOAM\nAmazon ISBN: 0-596-00712-4" };
+  assert.deepEqual([...Matcher._getZoteroIdentifiers(item)].sort(),
+    ["asin:B001GSTOAM", "isbn:9780132350884", "isbn:9780596007126"]);
+  // A print ASIN is its ISBN-10
+  assert.deepEqual([...Matcher._getBookIdentifiers({ asin: "0132350882" })].sort(), ["asin:0132350882", "isbn:9780132350884"]);
+});
+
+test("an identifier match beats a better title match", () => {
+  const items = [
+    { ...mockItem(1, "Clean Code", "Martin"), ISBN: "" },
+    { ...mockItem(2, "Clean Code: A Handbook of Agile Software Craftsmanship", "Martin"), ISBN: "978-0-13-235088-4" },
+  ];
+  const result = Matcher.matchBooksToZotero(
+    new Map([["k", { ...book("Clean Code", ["Robert C. Martin"]), isbn: "0132350882" }]]),
+    { getItems: () => items }
+  );
+
+  assert.equal(result.matched.length, 1);
+  assert.equal(result.matched[0].zoteroItem.id, 2);
+  assert.equal(result.matched[0].matchedBy, "identifier");
+  assert.deepEqual(result.matched[0].explanation.identifiers, ["isbn:9780132350884"]);
+});
+
+test("an identifier shared by several items goes to review", () => {
+  const items = [
+    { ...mockItem(1, "Deep Work", "Newport"), extra: "ASIN: B00X47ZVXM" },
+    { ...mockItem(2, "Deep Work (copy)", "Newport"), extra: "ASIN: B00X47ZVXM" },
+  ];
+  const result = Matcher.matchBooksToZotero(
+    new Map([["k", { ...book("Deep Work", ["Cal Newport"]), asin: "B00X47ZVXM" }]]),
+    { getItems: () => items }
+  );
+
+  assert.equal(result.matched.length, 0);
+  assert.deepEqual(result.ambiguous[0].candidates.map((c) => [c.zoteroItem.id, c.matchedBy]), [[1, "identifier"], [2, "identifier"]]);
+});
+
+test("each library gets its own index, kept up to date as items change", async () => {
+  const items = new Map();
+  const addItem = (id, libraryID, title) =>
+    items.set(id, { ...mockItem(id, title), libraryID, deleted: false, isRegularItem: () => true });
+  addItem(1, 11, "Deep Work");
+  addItem(2, 12, "Deep Work in a Group Library");
+  addItem(3, 12, "Digital Minimalism");
+
+  global.Zotero = {
+    Libraries: { userLibraryID: 11 },
+    Search: class {
+      addCondition() {}
+      async search() { return [...items.keys()]; }
+    },
+    Items: { async getAsync(ids) { return ids.map((id) => items.get(id) || null); } },
+  };
+
+  try {
+    const ids = (index) => [...index.entries.keys()].sort();
+    assert.deepEqual(ids(await Matcher.getLibraryIndex()), [1]);
+    assert.deepEqual(ids(await Matcher.getLibraryIndex(12)), [2, 3]);
+
+    addItem(4, 12, "Slow Productivity");
+    items.get(3).deleted = true;
+    Matcher.libraryObserver.notify("add", "item", [4]);
+    Matcher.libraryObserver.notify("trash", "item", [3]);
+    assert.deepEqual(ids(await Matcher.getLibraryIndex(12)), [2, 4]);
+    assert.deepEqual(ids(await Matcher.getLibraryIndex(11)), [1]);
+  } finally {
+    delete global.Zotero;
+  }
+});
+
+const person = (firstName, lastName) => ({ firstName, lastName, isInstitution: false });
+const authorScore = (a, b) => Matcher._authorSimilarity(Matcher._toAuthorNames(a), Matcher._toAuthorNames(b));
+
+test("initials, particles and name order don't hide the same author", () => {
+  assert.equal(authorScore([person("", "J. R. R. Tolkien")], [person("John Ronald Reuel", "Tolkien")]), 0.95);
+  assert.equal(authorScore([person("", "Ursula K. Le Guin")], [person("Ursula K.", "Le Guin")]), 1);
+  assert.equal(authorScore([person("Ludwig", "van Beethoven")], [person("Ludwig van", "Beethoven")]), 1);
+  assert.equal(authorScore([person("Martin Luther", "King Jr.")], [person("Martin Luther", "King")]), 1);
+  assert.ok(authorScore([person("Fyodor", "Dostoevsky")], [person("Fyodor", "Dostoyevsky")]) > 0.75);
+  assert.equal(authorScore([person("Gabriel", "García Márquez")], [person("Gabriel", "Márquez")]), 0.85);
+});
+
+test("a shared surname with different given names is a weak match", () => {
+  assert.equal(authorScore([person("Christopher", "Tolkien")], [person("J. R. R.", "Tolkien")]), 0.25);
+  assert.equal(authorScore([person("Ann", "Smith")], [person("Ann", "Jones")]), 0);
+});
+
+test("co-authors pair up in any order, and a missing one still counts", () => {
+  const hunt = person("Andrew", "Hunt");
+  const thomas = person("David", "Thomas");
+  assert.equal(authorScore([hunt, thomas], [thomas, hunt]), 1);
+  assert.equal(authorScore([thomas], [hunt, thomas]), 0.9); // containment
+});
+
+test("volume, part and edition markers are read in any form", () => {
+  assert.deepEqual(Matcher._extractVolumeInfo("The Expanse Book 2: Caliban's War"), { volume: 2, part: null, edition: null });
+  assert.deepEqual(Matcher._extractVolumeInfo("History of Rome, Vol. III"), { volume: 3, part: null, edition: null });
+  assert.deepEqual(Matcher._extractVolumeInfo("Dune Part Two"), { volume: null, part: 2, edition: null });
+  assert.deepEqual(Matcher._extractVolumeInfo("Clean Code, 2nd Edition"), { volume: null, part: null, edition: 2 });
+  assert.equal(Matcher._findVolumeConflict({ volume: 2 }, { volume: 3 }), "volume");
+  assert.equal(Matcher._findVolumeConflict({ volume: 2 }, { volume: null }), null); // one side only
+});
+
+test("a different volume is never matched automatically", () => {
+  const items = [
+    { ...mockItem(1, "Caliban's War"), seriesNumber: "2" },
+    { ...mockItem(2, "Clean Code"), edition: "2" },
+  ];
+  const result = Matcher.matchBooksToZotero(new Map([
+    ["calibans", { ...book("Caliban's War"), volume: 3 }],
+    ["clean", book("Clean Code, 3rd Edition")],
+  ]), { getItems: () => items });
+
+  assert.deepEqual(result.matched, []);
+  assert.deepEqual(result.ambiguous.map((entry) => entry.candidates[0].volumeConflict), ["volume", "edition"]);
+});
+
+test("the same volume, or a volume on one side only, still matches", () => {
+  const items = [{ ...mockItem(1, "Caliban's War"), seriesNumber: "2" }];
+  for (const volume of [2, null]) {
+    const result = Matcher.matchBooksToZotero(
+      new Map([["k", { ...book("Caliban's War"), volume }]]), { getItems: () => items });
+    assert.equal(result.matched.length, 1, `volume ${volume}`);
+  }
+});
+
+test("every outcome explains itself", () => {
+  const items = [
+    mockItem(1, "Clean Code: A Handbook of Agile Software Craftsmanship"),
+    mockItem(2, "Thinking, Fast and Slow", "Kahneman"),
+  ];
+  const result = Matcher.matchBooksToZotero(new Map([
+    ["clean", book("Clean Code")],
+    ["thinking", book("Thinking, Fast and Slow", ["Someone Else"])],
+    ["new", book("An Entirely Different Book")],
+  ]), { getItems: () => items });
+
+  const [clean] = result.matched;
+  assert.equal(clean.explanation.decision, "Matched: title 90% ≥ 85%; authors 100% ≥ 50%");
+  const lines = Matcher.formatMatchExplanation(clean.explanation);
+  assert.equal(lines[1], "Title 90% by containment (Dice 38%, containment 90%)");
+  assert.ok(lines.includes("  Only in Zotero: handbook, agile, software, craftsmanship"), lines.join("\n"));
+  assert.ok(lines.includes("  Ann Author ↔ Ann Author: 100%"), lines.join("\n"));
+
+  const [thinking] = result.ambiguous[0].candidates;
+  assert.equal(thinking.explanation.decision, "Needs review: title 100% ≥ 85%; authors 0% < 50% needed");
+  assert.ok(Matcher.formatMatchExplanation(thinking.explanation).includes("  Someone Else: not in Zotero"));
+
+  assert.equal(result.unmatched[0].explanation.decision,
+    "New: no library item shares enough title words to be a candidate");
+});
+
+test("a book matches an item's Short Title or original title", () => {
+  const items = [
+    { ...mockItem(1, "Sapiens: A Brief History of Humankind by a Historian of Rare Breadth"), shortTitle: "Sapiens" },
+    { ...mockItem(2, "Der Schwarm"), extra: "original-title: The Swarm\nISBN: 123" },
+  ];
+  const result = Matcher.matchBooksToZotero(new Map([
+    ["sapiens", book("Sapiens")],
+    ["swarm", book("The Swarm")],
+  ]), { getItems: () => items });
+
+  assert.deepEqual(result.matched.map((m) => [m.zoteroItem.id, m.explanation.title.field, m.titleScore]),
+    [[1, "shortTitle", 1], [2, "originalTitle", 1]]);
+  assert.equal(Matcher.formatMatchExplanation(result.matched[1].explanation)[1],
+    'Title 100% by dice against Original Title "The Swarm" (Dice 100%, containment 90%)');
+});
+
+test("books sharing an identifier are duplicates, unless their volumes differ", () => {
+  const books = new Map([
+    ["a", { ...book("Deep Work"), asin: "B00X47ZVXM" }],
+    ["b", { ...book("deep-work"), asin: "B00X47ZVXM" }],
+    ["c", { ...book("The Expanse"), volume: 1 }],
+    ["d", { ...book("The Expanse"), volume: 2 }],
+  ]);
+  assert.deepEqual(Matcher.findDuplicateBooks(books).map((group) => group.keys), [["a", "b"]]);
+});
@@ -0,0 +1,78 @@
+/**
+ * notebookParser.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const NotebookParser = require("../src/notebookParser.js");
+
+function notebook({ title = "Deep Work", authors = "Newport, Cal", body = "" } = {}) {
+  return [
+    '<div class="bookTitle">', title, "</div>",
+    '<div class="authors">', authors, "</div>",
+    body,
+  ].join("\n");
+}
+
+test("entities beyond the last code point are kept as written", () => {
+  const { books, errors } = NotebookParser.parseNotebookHTML(notebook({
+    title: "Deep &#x110000; Work &#9999999;",
+    body: '<div class="noteHeading">Highlight(yellow) - Location 10</div>' +
+          '<div class="noteText">Focus &#x1F600; &#x7FFFFFFF;</div>',
+  }));
+
+  const [book] = books.values();
+  assert.deepEqual(errors, []);
+  assert.equal(book.rawTitle, "Deep &#x110000; Work &#9999999;");
+  assert.equal(book.highlights[0].text, "Focus \u{1F600} &#x7FFFFFFF;");
+});
+
+const EXPORT = notebook({
+  title: "Thinking, Fast and Slow",
+  authors: "Kahneman, Daniel",
+  body: [
+    '<div class="sectionHeading">Part I: Two Systems</div>',
+    '<div class="noteHeading">Highlight(<span class="highlight_yellow">yellow</span>) - Page 20 · Location 269</div>',
+    '<div class="noteText">System 1 operates automatically &amp; quickly.</div>',
+    '<div class="noteHeading">Note - Page 20 · Location 270</div>',
+    '<div class="noteText">Fast thinking</div>',
+    '<div class="sectionHeading">Part II: Heuristics</div>',
+    '<div class="noteHeading">Highlight (<span class="highlight_blue">blue</span>) - Chapter 10 > Page 112 · Location 1602</div>',
+    // Older app versions: an h3 and no closing tag
+    '<h3 class="noteText">The law of small numbers',
+    '<div class="noteHeading">Bookmark - Location 1700</div>',
+    '<a href="kindle://book?action=open&asin=B00555X8OA&location=1">Open</a>',
+  ].join("\n"),
+});
+
+test("a notebook export is recognised and parsed", () => {
+  assert.equal(NotebookParser.isNotebookHTML(EXPORT), true);
+  assert.equal(NotebookParser.isNotebookHTML("<html><body><p>Hello</p></body></html>"), false);
+
+  const { books, skipped, errors } = NotebookParser.parseNotebookHTML(EXPORT);
+  const [book] = books.values();
+  assert.deepEqual(errors, []);
+  assert.equal(skipped, 1); // the bookmark
+  assert.equal(book.title, "Thinking, Fast and Slow");
+  assert.deepEqual(book.authors, ["Daniel Kahneman"]);
+  assert.equal(book.asin, "B00555X8OA");
+
+  const clip = ({ text, page, locationStart, chapter, color }) => ({ text, page, locationStart, chapter, color });
+  assert.deepEqual(book.highlights.map(clip), [
+    { text: "System 1 operates automatically & quickly.", page: 20, locationStart: 269, chapter: "Part I: Two Systems", color: "yellow" },
+    { text: "The law of small numbers", page: 112, locationStart: 1602, chapter: "Part II: Heuristics", color: "blue" },
+  ]);
+  assert.equal(book.notes[0].text, "Fast thinking");
+  assert.equal(book.notes[0].parentHighlight, book.highlights[0]);
+});
+
+test("bookmarks are kept when asked for", () => {
+  const { books, skipped } = NotebookParser.parseNotebookHTML(EXPORT, { keepBookmarks: true });
+  const [book] = books.values();
+  assert.equal(skipped, 0);
+  assert.deepEqual(book.bookmarks.map((b) => [b.type, b.locationStart, b.text]), [["bookmark", 1700, ""]]);
+});
@@ -0,0 +1,234 @@
+/**
+ * parser.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const Parser = require("../src/parser.js");
+
+function creators(authorStr) {
+  return Parser._parseCreators(authorStr)
+    .map(({ firstName, lastName, isInstitution }) => ({ firstName, lastName, isInstitution }));
+}
+
+test("people whose surname is an organisation word stay people", () => {
+  const person = (firstName, lastName) => ({ firstName, lastName, isInstitution: false });
+
+  assert.deepEqual(creators("Gil Press"), [person("Gil", "Press")]);
+  assert.deepEqual(creators("Press, Gil"), [person("Gil", "Press")]);
+  assert.deepEqual(creators("Group, Tom"), [person("Tom", "Group")]);
+  assert.deepEqual(creators("Sarah Board"), [person("Sarah", "Board")]);
+  assert.deepEqual(creators("Union, Mary; Trust, John"), [person("Mary", "Union"), person("John", "Trust")]);
+  assert.deepEqual(creators("Bank, Ann, Office, Tim"), [person("Ann", "Bank"), person("Tim", "Office")]);
+});
+
+test("organisation names are institutions", () => {
+  const institution = (lastName) => ({ firstName: "", lastName, isInstitution: true });
+
+  for (const name of [
+    "World Health Organization",
+    "Oxford University Press",
+    "University of Chicago",
+    "Department of Health",
+    "Editors of Time",
+    "Acme Books, Inc.",
+    "United Nations",
+  ]) {
+    assert.deepEqual(creators(name), [institution(name)], name);
+  }
+});
+
+/** A My Clippings.txt entry */
+function clipping(titleLine, metadataLine, text = "Some text.") {
+  return [titleLine, metadataLine, "", text, "==========", ""].join("\n");
+}
+
+function parseTitle(titleLine) {
+  const { books } = Parser.parseClippings(
+    clipping(titleLine, "- Your Highlight on Location 10-12 | Added on Sunday, January 5, 2025 9:14:32 AM"));
+  const [{ title, authors, series, volume, asin, rawTitle }] = books.values();
+  return { title, authors, series, volume, asin, rawTitle };
+}
+
+test("file-name titles are cleaned", () => {
+  assert.deepEqual(parseTitle("clean-code_EBOK"),
+    { title: "clean code", authors: [], series: null, volume: null, asin: null, rawTitle: "clean-code_EBOK" });
+  assert.deepEqual(parseTitle("deep-work_B00X47ZVXM"),
+    { title: "deep work", authors: [], series: null, volume: null, asin: "B00X47ZVXM", rawTitle: "deep-work_B00X47ZVXM" });
+  assert.equal(parseTitle("deep-work (Cal Newport) (z-lib.org)").title, "deep work");
+  assert.equal(parseTitle("Thinking Fast and Slow.pdf").title, "Thinking Fast and Slow");
+  assert.equal(parseTitle("Deep Work (z-lib.org)").title, "Deep Work");
+});
+
+test("edition markers are removed, editors are kept", () => {
+  const cleanCode = parseTitle("Clean Code (2nd ed.) (Robert C. Martin)");
+  assert.equal(cleanCode.title, "Clean Code");
+  assert.deepEqual(cleanCode.authors, ["Robert C. Martin"]);
+  assert.equal(parseTitle("Deep Work [Kindle Edition] (Cal Newport)").title, "Deep Work");
+
+  const silmarillion = parseTitle("The Silmarillion (Tolkien, J. R. R.; Tolkien, Christopher (ed.))");
+  assert.equal(silmarillion.title, "The Silmarillion");
+  assert.deepEqual(silmarillion.authors, ["J. R. R. Tolkien", "Christopher Tolkien"]);
+});
+
+test("series and volume markers move into their own fields", () => {
+  const expanse = parseTitle("The Expanse [Book 3]");
+  assert.deepEqual([expanse.title, expanse.series, expanse.volume], ["The Expanse", "The Expanse", 3]);
+
+  const leviathan = parseTitle("Leviathan Wakes (The Expanse Book 1) (James S. A. Corey)");
+  assert.deepEqual([leviathan.title, leviathan.series, leviathan.volume], ["Leviathan Wakes", "The Expanse", 1]);
+  assert.deepEqual(leviathan.authors, ["James S. A. Corey"]);
+});
+
+test("metadata lines are read in every Kindle language", () => {
+  const lines = {
+    en: "- Your Highlight on page 12 | Location 150-155 | Added on Sunday, January 5, 2025 9:14:32 PM",
+    de: "- Ihre Markierung auf Seite 12 | Position 150-155 | Hinzugefügt am Sonntag, 5. Januar 2025 21:14:32",
+    fr: "- Votre surlignement sur la page 12 | emplacement 150-155 | Ajouté le dimanche 5 janvier 2025 21:14:32",
+    es: "- La subrayado en la página 12 | posición 150-155 | Añadido el domingo, 5 de enero de 2025 21:14:32",
+    it: "- La tua evidenziazione a pagina 12 | posizione 150-155 | Aggiunto in data domenica 5 gennaio 2025 21:14:32",
+    pt: "- Seu destaque na página 12 | posição 150-155 | Adicionado: domingo, 5 de janeiro de 2025 21:14:32",
+    ja: "- 12ページ|位置No. 150-155のハイライト |作成日: 2025年1月5日日曜日 21:14:32",
+    zh: "- 您在第 12 页（位置 #150-155）的标注 | 添加于 2025年1月5日星期日 下午9:14:32",
+  };
+
+  for (const [lang, line] of Object.entries(lines)) {
+    const { books, errors } = Parser.parseClippings(clipping("Buch (Autor, Anna)", line));
+    assert.deepEqual(errors, [], lang);
+    const [{ type, page, locationStart, locationEnd, dateAdded }] = [...books.values()][0].highlights;
+    assert.deepEqual({ type, page, locationStart, locationEnd }, { type: "highlight", page: 12, locationStart: 150, locationEnd: 155 }, lang);
+    assert.deepEqual(
+      [dateAdded.getFullYear(), dateAdded.getMonth(), dateAdded.getDate(), dateAdded.getHours(), dateAdded.getMinutes()],
+      [2025, 0, 5, 21, 14], lang);
+  }
+});
+
+test("a file mixing languages keeps every entry", () => {
+  const { books, errors } = Parser.parseClippings(
+    clipping("Buch (Autor, Anna)", "- Ihre Notiz auf Seite 12 | Position 155 | Hinzugefügt am Sonntag, 5. Januar 2025 09:14:32", "Meine Notiz") +
+    clipping("Buch (Autor, Anna)", "- Your Highlight on page 12 | Location 150-155 | Added on Sunday, January 5, 2025 9:14:32 AM"));
+
+  const [book] = books.values();
+  assert.deepEqual(errors, []);
+  assert.equal(book.highlights.length, 1);
+  assert.equal(book.notes[0].text, "Meine Notiz");
+});
+
+const highlightAt = (range, time) =>
+  `- Your Highlight on Location ${range} | Added on Sunday, January 5, 2025 ${time}`;
+const noteAt = (location, time) =>
+  `- Your Note on Location ${location} | Added on Sunday, January 5, 2025 ${time}`;
+
+test("an extended or re-selected highlight replaces the earlier version", () => {
+  const { books, collapsed } = Parser.parseClippings(
+    clipping("Deep Work (Cal Newport)", highlightAt("100-101", "9:00:00 AM"), "Focus is a skill") +
+    clipping("Deep Work (Cal Newport)", highlightAt("100-103", "9:05:00 AM"), "Focus is a skill that must be trained") +
+    clipping("Deep Work (Cal Newport)", highlightAt("101-102", "9:10:00 AM"), "is a skill") +
+    clipping("Deep Work (Cal Newport)", highlightAt("102-104", "9:15:00 AM"), "A different passage nearby"));
+
+  const [book] = books.values();
+  assert.equal(collapsed, 2);
+  assert.deepEqual(book.highlights.map((h) => h.text), ["is a skill", "A different passage nearby"]);
+});
+
+test("with equal dates the later entry in the file wins", () => {
+  const { books } = Parser.parseClippings(
+    clipping("Deep Work (Cal Newport)", highlightAt("100-103", "9:00:00 AM"), "Focus is a skill that must be trained") +
+    clipping("Deep Work (Cal Newport)", highlightAt("100-101", "9:00:00 AM"), "Focus is a skill"));
+
+  assert.deepEqual([...books.values()][0].highlights.map((h) => h.text), ["Focus is a skill"]);
+});
+
+test("notes are attached to the highlight they annotate", () => {
+  const { books } = Parser.parseClippings(
+    clipping("Deep Work (Cal Newport)", highlightAt("100-104", "9:00:00 AM"), "First passage") +
+    clipping("Deep Work (Cal Newport)", noteAt("104", "9:01:00 AM"), "Ends where the highlight ends") +
+    clipping("Deep Work (Cal Newport)", highlightAt("200-210", "9:02:00 AM"), "Second passage") +
+    clipping("Deep Work (Cal Newport)", noteAt("205", "9:03:00 AM"), "Inside the highlight") +
+    clipping("Deep Work (Cal Newport)", noteAt("500", "9:04:00 AM"), "On its own"));
+
+  const [book] = books.values();
+  const parents = book.notes.map((n) => [n.text, n.parentHighlight && n.parentHighlight.text]);
+  assert.deepEqual(parents, [
+    ["Ends where the highlight ends", "First passage"],
+    ["Inside the highlight", "Second passage"],
+    ["On its own", null],
+  ]);
+});
+
+test("a note at the end of two highlights goes with the newer one", () => {
+  const { books } = Parser.parseClippings(
+    clipping("Deep Work (Cal Newport)", highlightAt("90-104", "9:00:00 AM"), "An older passage") +
+    clipping("Deep Work (Cal Newport)", highlightAt("100-104", "9:05:00 AM"), "A newer passage") +
+    clipping("Deep Work (Cal Newport)", noteAt("104", "9:06:00 AM"), "My note"));
+
+  assert.equal([...books.values()][0].notes[0].parentHighlight.text, "A newer passage");
+});
+
+test("bookmarks are skipped unless asked for", () => {
+  const content =
+    clipping("Deep Work (Cal Newport)", "- Your Bookmark on page 7 | Location 95 | Added on Sunday, January 5, 2025 9:00:00 AM", "") +
+    clipping("Deep Work (Cal Newport)", highlightAt("100-101", "9:05:00 AM"), "Focus");
+
+  const skipped = Parser.parseClippings(content);
+  assert.equal(skipped.skipped, 1);
+  assert.equal(skipped.diagnostics[0].reason, "bookmark");
+  assert.deepEqual([...skipped.books.values()][0].bookmarks, []);
+
+  const kept = Parser.parseClippings(content, { keepBookmarks: true });
+  const [book] = kept.books.values();
+  assert.equal(kept.skipped, 0);
+  assert.deepEqual(book.bookmarks.map(({ type, page, locationStart, text }) => ({ type, page, locationStart, text })),
+    [{ type: "bookmark", page: 7, locationStart: 95, text: "" }]);
+  assert.equal(book.highlights.length, 1);
+});
+
+test("each skipped entry is reported with its line, reason and text", () => {
+  const content = "\uFEFF" +
+    clipping("Deep Work (Cal Newport)", "- Your Bookmark on Location 95 | Added on Sunday, January 5, 2025 9:00:00 AM", "") +
+    clipping("Deep Work (Cal Newport)", highlightAt("100-101", "9:05:00 AM"),
+      "You have reached the clipping limit for this item") +
+    "Just a title line\n==========\n" +
+    clipping("Deep Work (Cal Newport)", "- Something else entirely") +
+    clipping("Deep Work (Cal Newport)", highlightAt("120-121", "9:10:00 AM"), "Kept");
+
+  const result = Parser.parseClippings(content);
+  assert.equal(result.skipped, 4);
+  assert.deepEqual(result.diagnostics.map(({ line, severity, reason }) => [line, severity, reason]), [
+    [1, "skip", "bookmark"],
+    [6, "skip", "restricted"],
+    [11, "skip", "malformed"],
+    [13, "skip", "unknown-metadata"],
+  ]);
+  assert.equal(result.diagnostics[1].message, Parser.DIAGNOSTIC_REASONS.restricted);
+  assert.match(result.diagnostics[3].raw, /^Deep Work \(Cal Newport\)\n- Something else entirely/);
+
+  assert.match(Parser.summarizeParseResult(result),
+    /Skipped entries: +4 \(1 bookmark, 1 restricted, 1 malformed, 1 unknown-metadata\)/);
+  const report = Parser.formatDiagnostics(result.diagnostics, "My Clippings.txt");
+  assert.match(report, /^Kindle Importer parse diagnostics — My Clippings\.txt/);
+  assert.match(report, /Line 6 \[skip: restricted\] Publisher clipping limit reached/);
+});
+
+test("merging duplicate books pools their clips without repeats", () => {
+  const { books } = Parser.parseClippings(
+    clipping("Sapiens (Yuval Noah Harari)", highlightAt("100-101", "9:00:00 AM"), "Shared passage") +
+    clipping("Sapiens (Yuval Noah Harari)", highlightAt("200-201", "9:01:00 AM"), "Only in the first") +
+    clipping("Sapiens (Yuval Noah Harari)", noteAt("201", "9:02:00 AM"), "A note") +
+    clipping("Sapiens: A Brief History of Humankind (Harari, Yuval Noah)", highlightAt("110-111", "9:03:00 AM"), "Shared  passage") +
+    clipping("Sapiens: A Brief History of Humankind (Harari, Yuval Noah)", highlightAt("300-301", "9:04:00 AM"), "Only in the second"));
+  const [short, long] = books.values();
+  long.asin = "B00ICN066A";
+
+  const merged = Parser.mergeBooks([short, long]);
+  assert.equal(merged.title, "Sapiens"); // the book with the most clips
+  assert.equal(merged.asin, "B00ICN066A");
+  assert.deepEqual(merged.highlights.map((h) => h.text), ["Shared passage", "Only in the first", "Only in the second"]);
+  assert.equal(merged.notes[0].parentHighlight, merged.highlights[1]);
+  assert.notEqual(merged.highlights[0], short.highlights[0]); // the parsed books are left as they were
+  assert.equal(short.highlights.length, 2);
+});
@@ -0,0 +1,47 @@
+/**
+ * readwiseParser.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const ReadwiseParser = require("../src/readwiseParser.js");
+
+const HEADER = "Highlight,Book Title,Book Author,Amazon Book ID,Note,Color,Tags,Location Type,Location,Highlighted at,Document tags";
+
+test("a Readwise export is grouped into books", () => {
+  const csv = [
+    "\uFEFF" + HEADER,
+    '"Focus, then ""rest"".",Deep Work,Cal Newport,B00X47ZVXM,My note,yellow,,location,269,2021-03-04 12:34:56+00:00,',
+    '"A quote that runs',
+    'over two lines",Deep Work,Cal Newport,B00X47ZVXM,,,,page,12,,',
+    ",Deep Work,Cal Newport,,,,,location,300,,",
+    "Orphan,,Nobody,,,,,location,1,,",
+  ].join("\r\n");
+
+  assert.equal(ReadwiseParser.isReadwiseCSV(csv), true);
+  const { books, skipped, errors, diagnostics } = ReadwiseParser.parseReadwiseCSV(csv);
+  const [book] = books.values();
+
+  assert.equal(books.size, 1);
+  assert.equal(book.asin, "B00X47ZVXM");
+  assert.deepEqual(book.highlights.map(({ text, page, locationStart, color }) => [text, page, locationStart, color]), [
+    ["A quote that runs over two lines", 12, null, null],
+    ['Focus, then "rest".', null, 269, "yellow"],
+  ]);
+  assert.equal(book.highlights[1].dateAdded.toISOString(), "2021-03-04T12:34:56.000Z");
+  assert.equal(book.notes[0].parentHighlight, book.highlights[1]);
+
+  assert.equal(skipped, 1); // the row with no text
+  assert.equal(errors.length, 1);
+  assert.deepEqual(diagnostics.map((d) => [d.line, d.severity]), [[5, "skip"], [6, "error"]]);
+});
+
+test("an export without the needed columns is an error", () => {
+  const { books, errors } = ReadwiseParser.parseReadwiseCSV("Title,Author\nDeep Work,Cal Newport");
+  assert.equal(books.size, 0);
+  assert.match(errors[0], /Missing "Highlight" or "Book Title" column/);
+});
@@ -0,0 +1,69 @@
+/**
+ * requestScheduler.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createRequestScheduler } = require("../src/requestScheduler.js");
+
+function response(status, headers = {}) {
+  return { ok: status < 400, status, headers: { get: (name) => headers[name] ?? null } };
+}
+
+test("requests spaced out for one host don't hold up another host", async () => {
+  const started = {};
+  const t0 = Date.now();
+  const scheduler = createRequestScheduler({
+    concurrency: 2,
+    hostIntervals: { "slow.test": 200 },
+    fetchFn: async (url) => {
+      started[url] = Date.now() - t0;
+      if (url.includes("slow")) await new Promise((resolve) => setTimeout(resolve, 150));
+      return response(200);
+    },
+  });
+
+  await Promise.all([
+    scheduler.fetch("https://slow.test/1"),
+    scheduler.fetch("https://slow.test/2"),
+    scheduler.fetch("https://slow.test/3"),
+    scheduler.fetch("https://fast.test/1"),
+  ]);
+
+  assert.ok(started["https://fast.test/1"] < 100, `fast request started after ${started["https://fast.test/1"]} ms`);
+  assert.ok(started["https://slow.test/2"] >= 190);
+  assert.ok(started["https://slow.test/3"] >= 390);
+});
+
+test("busy answers are retried, then fail as retryable", async () => {
+  const answers = [response(429), response(503), response(200)];
+  const scheduler = createRequestScheduler({ baseDelay: 5, fetchFn: async () => answers.shift() });
+  assert.equal((await scheduler.fetch("https://api.test/")).status, 200);
+
+  const refusing = createRequestScheduler({ baseDelay: 5, maxRetries: 2, fetchFn: async () => response(429) });
+  await assert.rejects(refusing.fetch("https://api.test/"), (err) => err.retryable && err.status === 429);
+});
+
+test("a retry waits as long as Retry-After asks", async () => {
+  const started = [];
+  const t0 = Date.now();
+  let first = true;
+  const scheduler = createRequestScheduler({
+    fetchFn: async (url) => {
+      started.push([url, Date.now() - t0]);
+      if (first) {
+        first = false;
+        return response(429, { "Retry-After": "1" });
+      }
+      return response(200);
+    },
+  });
+
+  await Promise.all([scheduler.fetch("https://api.test/a"), scheduler.fetch("https://api.test/b")]);
+  const retried = started.filter(([url]) => url === "https://api.test/a")[1];
+  assert.ok(retried[1] >= 990);
+});
@@ -0,0 +1,44 @@
+/**
+ * tokenizer.test.js
+ * Run with: node --test test/
+ */
+
+"use strict";
+
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+
+const Tokenizer = require("../src/tokenizer.js");
+
+const words = (str, options) => [...Tokenizer.tokenize(str, { wordsOnly: true, ...options })];
+
+test("accents and special letters are folded", () => {
+  assert.equal(Tokenizer.foldText("Café Straße Ærø Łódź"), "cafe strasse aero lodz");
+  assert.equal(Tokenizer.foldText("ＡＢＣ１２３"), "abc123"); // full-width forms
+  assert.deepEqual(words("L'Étranger"), ["letranger"]);
+  assert.deepEqual(words("Οδύσσεια"), words("ΟΔΥΣΣΕΙΑ"));
+});
+
+test("Cyrillic and Greek titles split into words", () => {
+  assert.deepEqual(words("Война и мир"), ["воина", "мир"]); // "й" folds like any accented letter
+  assert.deepEqual(words("Η Οδύσσεια του Ομήρου"), ["οδυσσεια", "του", "ομηρου"]);
+});
+
+test("CJK text becomes overlapping character pairs", () => {
+  assert.deepEqual(words("思考の整理学"), ["思考", "考の", "の整", "整理", "理学"]);
+  assert.deepEqual(words("三体"), ["三体"]);
+  assert.deepEqual(words("ノルウェイの森 Kindle版"), ["ノル", "ルウ", "ウェ", "ェイ", "イの", "の森", "kindle", "版"]);
+});
+
+test("stop words are removed for the title's language", () => {
+  assert.deepEqual(words("The Lord of the Rings"), ["lord", "rings"]);
+  assert.deepEqual(words("Der Herr der Ringe"), ["herr", "ringe"]);
+  assert.deepEqual(words("Le Seigneur des anneaux"), ["seigneur", "anneaux"]);
+  assert.deepEqual(words("Die Hard", { lang: "en" }), ["die", "hard"]);
+});
+
+test("full tokens add the bigrams of each word", () => {
+  assert.deepEqual([...Tokenizer.tokenize("Dune")], ["dune", "du", "un", "ne"]);
+  assert.ok(Tokenizer.tokenize("Thinking Fast and Slow").has("slow"));
+  assert.ok(Tokenizer.tokenize("Thinking Fast and Slow").has("lo"));
+});